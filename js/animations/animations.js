@@ -1,24 +1,26 @@
 /**
  * Animation Module
- * Handles camera animations, loading sequences, and airplane flight
+ * Handles camera animations, loading sequences, and the airplane flight
  */
-import { setArcOpacityMultiplier, getArcColor } from '../globe/config.js';
+import { setArcOpacityMultiplier, getArcColor, getPointColor, mixColors, getArcDashAnimateTime } from '../globe/config.js';
+import { categories } from '../data/categories.js';
+import { settings } from '../settings.js';
+import { showStartupFailure } from '../ui/fallback.js';
+import { angularDistance, getRoutePoint, EARTH_RADIUS_KM } from '../globe/routing.js';
+import { planFlightTour, getNearestStopIndex, getTourLength } from './flightPlanner.js';
 
-// Airplane flight animation control
-let airplaneFlightInterval = null;
+// Airplane flight animation control: { tour, index, frameId, stopTimeout, resumeTimeout } while flying
+let airplaneFlight = null;
 let userInteractionListeners = null;
 
 /**
  * Stop airplane flight animation
  */
 export function stopAirplaneFlight() {
-    if (airplaneFlightInterval) {
-        if (typeof airplaneFlightInterval.cancel === 'function') {
-            airplaneFlightInterval.cancel();
-        } else {
-            clearInterval(airplaneFlightInterval);
-        }
-        airplaneFlightInterval = null;
+    if (airplaneFlight) {
+        pauseAirplaneFlight(airplaneFlight);
+        clearTimeout(airplaneFlight.resumeTimeout);
+        airplaneFlight = null;
     }
     
     // Remove user interaction listeners
@@ -31,18 +33,22 @@ export function stopAirplaneFlight() {
 }
 
 /**
- * Animate category selection with airplane flight for lone wolf
+ * Animate category selection with airplane flight for lone wolf.
+ * onStop(country) runs at every stop of the flight (e.g. to show the country info).
  */
-export function animateCategorySelection(categoryId, countryNames, globe, countryData) {
+export function animateCategorySelection(categoryId, countryNames, globe, countryData, onStop = null) {
     console.log('Category selected:', categoryId, 'with countries:', countryNames);
     
     // Stop any existing airplane flight animation with smooth transition
-    const wasFlying = airplaneFlightInterval !== null;
+    const wasFlying = airplaneFlight !== null;
     stopAirplaneFlight();
     
-    // Special airplane flight animation for lone wolf mode
-    if (categoryId === 'lone_wolf') {
-        console.log('Starting airplane flight animation around the world!');
+    const category = categories[categoryId];
+    const targetView = category ? category.view : null;
+    
+    // Special airplane flight animation (lone wolf mode) - categories with view "flight"
+    if (targetView === 'flight') {
+        console.log('Starting airplane flight over the category countries!');
         
         // CRITICAL: Optimizaciones de performance para vuelo suave
         const controls = globe.controls();
@@ -52,17 +58,9 @@ export function animateCategorySelection(categoryId, countryNames, globe, countr
         
         console.log('AutoRotate DISABLED, Damping ENABLED for airplane mode');
         
-        // Si estábamos en otra categoría, hacer transición suave primero
-        if (!wasFlying) {
-            const currentPOV = globe.pointOfView();
-            
-            // IMPORTANTE: Iniciar el vuelo INMEDIATAMENTE pero desde la posición actual
-            // Esto evita el salto
-            startAirplaneFlight(globe, countryData, currentPOV);
-        } else {
-            // Si ya estábamos volando, reiniciar directamente
-            startAirplaneFlight(globe, countryData);
-        }
+        // El vuelo sale desde la posición actual de la cámara (sin saltos)
+        const members = new Set(countryNames);
+        startAirplaneFlight(globe, countryData.filter(country => members.has(country.name)), onStop);
         return;
     }
     
@@ -70,26 +68,7 @@ export function animateCategorySelection(categoryId, countryNames, globe, countr
     console.log('Re-enabling AutoRotate');
     globe.controls().autoRotate = true;
     
-    // Define region views for each category
-    const regionViews = {
-        'latin_america': {
-            lat: -15,
-            lng: -60,
-            altitude: 2.2
-        },
-        'europe': {
-            lat: 54,
-            lng: 15,
-            altitude: 1.8
-        },
-        'africa': {
-            lat: 0,
-            lng: 20,
-            altitude: 2.0
-        }
-    };
-    
-    const targetView = regionViews[categoryId];
+    // Region views come from the category config
     if (targetView) {
         console.log(`Smoothly transitioning to ${categoryId} region:`, targetView);
         
@@ -105,154 +84,202 @@ export function animateCategorySelection(categoryId, countryNames, globe, countr
 }
 
 /**
- * Simulate an airplane flying around the world
+ * Fly from country to country: the stops are ordered into a short round trip
+ * (see flightPlanner.js) and the camera follows great-circle legs between them,
+ * pausing at each one. Privacy-masked countries are never visited.
  */
-function startAirplaneFlight(globe, countryData, startPOV = null) {
-    const loneWolfCountries = countryData.filter(c => c.count === 1);
+function startAirplaneFlight(globe, countries, onStop) {
+    const stops = countries.filter(country => !country.masked && country.coordinates);
     
-    if (loneWolfCountries.length === 0) {
-        console.log('No lone wolf countries found');
+    if (stops.length === 0) {
+        console.log('No countries to fly over');
         return;
     }
     
-    // Obtener posición inicial
-    const initialPOV = startPOV || globe.pointOfView();
-    let angle = initialPOV.lng || 0;
-    let currentLat = initialPOV.lat || 20;
-    
-    // Optimizaciones de performance
-    const rotationSpeed = 0.18; // 40% más lento que el original (0.3 * 0.6 = 0.18)
-    const initialAltitude = 1.3;
-    const targetLatVariation = 25;
-    
-    // Pre-calcular constantes
-    const PI_180 = Math.PI / 180;
-    const ANGLE_FACTOR_LAT = 0.5;
-    
-    // Transición gradual al patrón de vuelo
-    let transitionProgress = 0;
-    const transitionDuration = 90; // Más frames para transición más suave
-    
-    console.log(`Starting airplane flight - sobrevolando ${loneWolfCountries.length} lone wolf countries...`);
-    console.log(`Initial zoom set to altitude: ${initialAltitude}`);
-    console.log(`User can zoom in/out freely during flight`);
+    const tour = planFlightTour(stops, globe.pointOfView());
+    console.log(`Starting airplane flight - ${tour.length} stops, ${Math.round(getTourLength(tour) * EARTH_RADIUS_KM)} km round trip:`,
+        tour.map(country => country.name).join(' → '));
+    
+    airplaneFlight = {
+        globe,
+        tour,
+        onStop,
+        index: 0,
+        frameId: null,
+        stopTimeout: null,
+        resumeTimeout: null
+    };
     
-    // IMPORTANTE: Hacer la transición inicial ANTES de empezar el vuelo
-    globe.pointOfView({
-        lat: currentLat,
-        lng: angle,
-        altitude: initialAltitude
-    }, 1500); // Transición más rápida (1.5s)
+    // El primer tramo también lleva la cámara a la altitud de vuelo
+    flyToStop(airplaneFlight, 0, settings.flight.altitude);
     
-    // Variables para requestAnimationFrame
-    let animationFrameId = null;
-    let lastTimestamp = null;
+    // Detectar interacción del usuario para pausar el vuelo
+    setupUserInteractionDetection(globe);
+}
+
+/**
+ * Fly along the great circle from the camera to a stop of the tour.
+ * altitude: where the leg ends up (null = keep the user's zoom)
+ */
+function flyToStop(flight, index, altitude = null) {
+    const { globe } = flight;
+    const from = globe.pointOfView();
+    const to = flight.tour[index].coordinates;
+    const degrees = angularDistance(from.lat, from.lng, to.lat, to.lng) * 180 / Math.PI;
+    const duration = Math.max(degrees / settings.flight.speed * 1000, settings.flight.minLegDuration);
+    const start = performance.now();
+    flight.index = index;
     
-    // Función de animación usando requestAnimationFrame (60fps suave)
     function animate(timestamp) {
-        if (!lastTimestamp) lastTimestamp = timestamp;
-        const deltaTime = timestamp - lastTimestamp;
-        lastTimestamp = timestamp;
-        
-        // Normalizar el deltaTime para mantener velocidad consistente
-        // Target: 60fps = ~16.67ms per frame
-        const normalizedDelta = Math.min(deltaTime / 16.67, 2); // Cap para evitar saltos grandes
-        
-        // Incrementar ángulo de rotación (ajustado por deltaTime)
-        angle += rotationSpeed * normalizedDelta;
+        const progress = Math.min((timestamp - start) / duration, 1);
+        const eased = easeInOutCubic(progress);
+        const { lat, lng } = getRoutePoint(from.lat, from.lng, to.lat, to.lng, eased);
         
-        // La cámara rota alrededor del globo (cambiando longitud)
-        const lng = angle % 360;
+        // IMPORTANTE: sin altitud de destino se respeta el zoom actual del usuario
+        const currentAltitude = globe.pointOfView().altitude;
+        const legAltitude = altitude === null ? currentAltitude : from.altitude + (altitude - from.altitude) * eased;
         
-        // Pre-calcular ángulo en radianes
-        const angleRad = angle * PI_180;
-        
-        // Calcular latitud objetivo con patrón sinusoidal suave
-        const targetLat = Math.sin(angleRad * ANGLE_FACTOR_LAT) * targetLatVariation;
+        // Actualizar punto de vista sin transición (0ms) para movimiento fluido
+        globe.pointOfView({ lat, lng, altitude: legAltitude }, 0);
         
-        // Interpolación ultra suave con easing progresivo
-        let lerpFactor;
-        if (transitionProgress < transitionDuration) {
-            transitionProgress += normalizedDelta;
-            const easeProgress = Math.min(transitionProgress / transitionDuration, 1);
-            // Easing suave (smoothstep mejorado)
-            const easedProgress = easeProgress * easeProgress * (3 - 2 * easeProgress);
-            
-            // Factor de interpolación progresivo
-            lerpFactor = easedProgress * 0.15;
+        if (progress < 1) {
+            flight.frameId = requestAnimationFrame(animate);
         } else {
-            // Ya en patrón de vuelo normal - interpolación suave continua
-            lerpFactor = 0.12; // Aumentado de 0.1 para más respuesta
+            flight.frameId = null;
+            arriveAtStop(flight);
         }
-        
-        // Aplicar lerp con factor calculado
-        currentLat += (targetLat - currentLat) * lerpFactor;
-        
-        // IMPORTANTE: Obtener la altitud actual del usuario (con cache para performance)
-        const currentPOV = globe.pointOfView();
-        const userAltitude = currentPOV.altitude;
-        
-        // Actualizar punto de vista sin transición (0ms) para movimiento fluido
-        globe.pointOfView({
-            lat: currentLat,
-            lng: lng,
-            altitude: userAltitude
-        }, 0);
-        
-        // Continuar la animación
-        animationFrameId = requestAnimationFrame(animate);
     }
     
-    // ESPERAR a que termine la transición inicial antes de empezar el vuelo
-    setTimeout(() => {
-        // Iniciar animación con requestAnimationFrame
-        animationFrameId = requestAnimationFrame(animate);
-        
-        // Guardar el ID para poder cancelar después
-        airplaneFlightInterval = {
-            cancel: () => {
-                if (animationFrameId) {
-                    cancelAnimationFrame(animationFrameId);
-                    animationFrameId = null;
-                }
-            }
-        };
-        
-        // Detectar interacción del usuario para detener la animación
-        setupUserInteractionDetection(globe);
-    }, 1600); // Esperar un poco más que la transición
+    flight.frameId = requestAnimationFrame(animate);
 }
 
 /**
- * Setup user interaction detection to stop airplane flight
+ * Pause at the current stop, then fly on to the next one
+ */
+function arriveAtStop(flight) {
+    if (flight.onStop) flight.onStop(flight.tour[flight.index]);
+    if (flight.tour.length < 2) return;
+    
+    flight.stopTimeout = setTimeout(() => {
+        flight.stopTimeout = null;
+        flyToStop(flight, (flight.index + 1) % flight.tour.length);
+    }, settings.flight.stopDuration);
+}
+
+/**
+ * Hold the camera where it is (leg or stop in progress is dropped)
+ */
+function pauseAirplaneFlight(flight) {
+    if (flight.frameId) {
+        cancelAnimationFrame(flight.frameId);
+        flight.frameId = null;
+    }
+    clearTimeout(flight.stopTimeout);
+    flight.stopTimeout = null;
+}
+
+/**
+ * Continue the tour from the stop closest to where the user left the camera
+ */
+function resumeAirplaneFlight(flight) {
+    const { lat, lng } = flight.globe.pointOfView();
+    const index = getNearestStopIndex(flight.tour, lat, lng);
+    console.log(`Resuming airplane flight at ${flight.tour[index].name}`);
+    flyToStop(flight, index);
+}
+
+/**
+ * Setup user interaction detection: dragging or zooming pauses the flight,
+ * which resumes settings.flight.resumeDelay ms after the user lets go
  */
 function setupUserInteractionDetection(globe) {
     const controls = globe.controls();
     userInteractionListeners = [];
     
-    // Detectar cuando el usuario empieza a mover la cámara
+    // El usuario empieza a mover la cámara (mouse, touch o rueda)
     const onInteractionStart = () => {
-        console.log('User interaction detected - stopping airplane flight');
-        stopAirplaneFlight();
-        
-        // Re-enable auto rotation after user stops interacting
-        controls.autoRotate = true;
+        const flight = airplaneFlight;
+        if (!flight) return;
+        clearTimeout(flight.resumeTimeout);
+        flight.resumeTimeout = null;
+        if (flight.frameId || flight.stopTimeout) {
+            console.log('User interaction detected - pausing airplane flight');
+            pauseAirplaneFlight(flight);
+        }
+    };
+    
+    // El usuario suelta la cámara: retomar el vuelo tras un momento de calma
+    const onInteractionEnd = () => {
+        const flight = airplaneFlight;
+        if (!flight) return;
+        clearTimeout(flight.resumeTimeout);
+        flight.resumeTimeout = setTimeout(() => {
+            flight.resumeTimeout = null;
+            resumeAirplaneFlight(flight);
+        }, settings.flight.resumeDelay);
     };
     
-    // Eventos de mouse
-    const canvas = globe.renderer().domElement;
+    controls.addEventListener('start', onInteractionStart);
+    userInteractionListeners.push({ element: controls, event: 'start', handler: onInteractionStart });
+    
+    controls.addEventListener('end', onInteractionEnd);
+    userInteractionListeners.push({ element: controls, event: 'end', handler: onInteractionEnd });
+}
+
+/**
+ * Animate point colors from their previous color to the one for their current count
+ * (timeline scrubbing). Sizes are tweened by globe.gl itself through pointsTransitionDuration.
+ */
+let pointColorAnimationId = null;
+
+export function animatePointColors(globe, points, previousColors, duration) {
+    if (pointColorAnimationId) {
+        cancelAnimationFrame(pointColorAnimationId);
+        pointColorAnimationId = null;
+    }
+    
+    const transitions = points
+        .map(point => ({
+            point,
+            from: previousColors.get(point.name),
+            to: getPointColor(point.count, point.categoryColor)
+        }))
+        .filter(({ from, to }) => from && from !== to);
+    
+    if (transitions.length === 0) return;
     
-    // Mouse down inicia interacción
-    canvas.addEventListener('mousedown', onInteractionStart);
-    userInteractionListeners.push({ element: canvas, event: 'mousedown', handler: onInteractionStart });
+    const start = Date.now();
     
-    // Touch start para dispositivos móviles
-    canvas.addEventListener('touchstart', onInteractionStart);
-    userInteractionListeners.push({ element: canvas, event: 'touchstart', handler: onInteractionStart });
+    function animate() {
+        const progress = Math.min((Date.now() - start) / duration, 1);
+        const eased = easeInOutCubic(progress);
+        
+        transitions.forEach(({ point, from, to }) => {
+            point.transitionColor = progress < 1 ? mixColors(from, to, eased) : null;
+        });
+        
+        // Re-apply the accessor so globe.gl picks up the new colors
+        globe.pointColor(globe.pointColor());
+        
+        pointColorAnimationId = progress < 1 ? requestAnimationFrame(animate) : null;
+    }
     
-    // Wheel para detectar zoom
-    canvas.addEventListener('wheel', onInteractionStart);
-    userInteractionListeners.push({ element: canvas, event: 'wheel', handler: onInteractionStart });
+    animate();
+}
+
+/**
+ * Show an entrance ripple on countries that just appeared
+ */
+let entranceTimeout = null;
+
+export function animateCountryEntrance(globe, countries, duration) {
+    if (entranceTimeout) clearTimeout(entranceTimeout);
+    
+    globe.ringsData(countries);
+    entranceTimeout = setTimeout(() => {
+        globe.ringsData([]);
+        entranceTimeout = null;
+    }, duration);
 }
 
 /**
@@ -265,11 +292,11 @@ function easeInOutCubic(t) {
 }
 
 /**
- * Initialize loading sequence
+ * Initialize loading sequence (onArcsReady runs once the intro arcs are fully shown)
  * OPTIMIZADO: La animación CSS del logo corre COMPLETAMENTE INDEPENDIENTE
  * del globe loading para prevenir trabas
  */
-export function initializeLoadingSequence(globe, countryData, connections) {
+export function initializeLoadingSequence(globe, countryData, connections, onArcsReady) {
     const loadingScreen = document.getElementById('loadingScreen');
     const globeViz = document.getElementById('globeViz');
     
@@ -278,6 +305,18 @@ export function initializeLoadingSequence(globe, countryData, connections) {
     console.log('Logo animation running independently on GPU...');
     
     let globeReady = false;
+    const readyDeadline = Date.now() + settings.startup.rendererTimeout;
+    
+    // Keep checking every 100ms (sin bloquear animación) until the deadline
+    const retryGlobeReady = () => {
+        if (Date.now() > readyDeadline) {
+            showStartupFailure('The globe did not finish initializing.', [
+                `No renderer after ${Math.round(settings.startup.rendererTimeout / 1000)} seconds; the graphics driver may be blocked or out of memory.`
+            ]);
+            return;
+        }
+        setTimeout(checkGlobeReady, 100);
+    };
     
     // Check if globe is ready (scene loaded, renderer initialized)
     // Esto NO bloquea la animación del logo
@@ -288,12 +327,11 @@ export function initializeLoadingSequence(globe, countryData, connections) {
                 console.log('Globe is ready!');
                 globeReady = true;
             } else {
-                // Keep checking every 100ms (sin bloquear animación)
-                setTimeout(checkGlobeReady, 100);
+                retryGlobeReady();
             }
         } catch (e) {
             // Globe aún no listo, seguir esperando sin interrumpir animación
-            setTimeout(checkGlobeReady, 100);
+            retryGlobeReady();
         }
     };
     
@@ -314,6 +352,8 @@ export function initializeLoadingSequence(globe, countryData, connections) {
                 if (globeReady) {
                     clearInterval(quickCheck);
                     console.log('Globe ready');
+                } else if (Date.now() > readyDeadline) {
+                    clearInterval(quickCheck);
                 }
             }, 100);
         }
@@ -339,7 +379,7 @@ export function initializeLoadingSequence(globe, countryData, connections) {
             const enabledCountryData = countryData.filter(country => enabledCountries.has(country.name));
 
             animatePointsSequential(globe, enabledCountryData, () => {
-                animateArcsSequential(globe, connections);
+                animateArcsSequential(globe, connections, onArcsReady);
             });
         }, 1500); // Después de que termine el fade in del globe (1.5s)
 
@@ -351,6 +391,9 @@ export function initializeLoadingSequence(globe, countryData, connections) {
             document.querySelector('.info-panel')?.classList.add('ui-fade-in');
             document.querySelector('.country-panel')?.classList.add('ui-fade-in');
             document.querySelector('.category-panel')?.classList.add('ui-fade-in');
+            document.querySelector('.timeline-panel')?.classList.add('ui-fade-in');
+            document.querySelector('.facet-panel')?.classList.add('ui-fade-in');
+            document.querySelector('.legend-panel')?.classList.add('ui-fade-in');
         }, 1600); // Globe termina fade in a los 1.5s, UI empieza a los 1.6s
 
         // Step 5: Tooltip
@@ -387,7 +430,7 @@ function animatePointsSequential(globe, pointsData, onComplete) {
 /**
  * Animate arcs appearing sequentially
  */
-function animateArcsSequential(globe, arcsData) {
+function animateArcsSequential(globe, arcsData, onComplete) {
     const delayBetweenArcs = 20; // milliseconds between each arc appearing
     const currentArcs = [];
     
@@ -402,7 +445,7 @@ function animateArcsSequential(globe, arcsData) {
         } else {
             clearInterval(intervalId);
             console.log('All arcs displayed! Starting fade-in and dash animation...');
-            animateArcFadeIn(globe);
+            animateArcFadeIn(globe, onComplete);
         }
     }, delayBetweenArcs);
 }
@@ -410,7 +453,7 @@ function animateArcsSequential(globe, arcsData) {
 /**
  * Animate arc fade-in
  */
-function animateArcFadeIn(globe) {
+function animateArcFadeIn(globe, onComplete) {
     const fadeInDuration = 2000;
     const fadeInStart = Date.now();
     
@@ -428,10 +471,13 @@ function animateArcFadeIn(globe) {
             requestAnimationFrame(animate);
         } else {
             console.log('Arc fade-in complete, starting dash animation...');
-            globe.arcDashAnimateTime(3000);
+            globe.arcDashAnimateTime(d => getArcDashAnimateTime(d, 3000));
             const currentData = globe.arcsData();
             globe.arcsData([]);
-            setTimeout(() => globe.arcsData(currentData), 10);
+            setTimeout(() => {
+                globe.arcsData(currentData);
+                if (onComplete) onComplete();
+            }, 10);
         }
     }
     
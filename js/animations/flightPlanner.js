@@ -0,0 +1,87 @@
+/**
+ * Flight Planner Module
+ * Orders the stops of the lone-wolf flight into a short round trip: a
+ * nearest-neighbor tour from the stop closest to the camera, improved with
+ * 2-opt (reverse any stretch of the tour that shortens it) until no swap helps.
+ * Stops are country records with coordinates; distances are great-circle angles.
+ * Pure math, no globe.
+ */
+import { angularDistance } from '../globe/routing.js';
+
+/**
+ * Great-circle angle (radians) between two stops
+ */
+function stopDistance(a, b) {
+    return angularDistance(a.coordinates.lat, a.coordinates.lng, b.coordinates.lat, b.coordinates.lng);
+}
+
+/**
+ * Index of the stop closest to a position (-1 when there are no stops)
+ */
+export function getNearestStopIndex(stops, lat, lng) {
+    let nearest = -1;
+    let nearestDistance = Infinity;
+    stops.forEach((stop, i) => {
+        const distance = angularDistance(lat, lng, stop.coordinates.lat, stop.coordinates.lng);
+        if (distance < nearestDistance) {
+            nearest = i;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+/**
+ * Nearest-neighbor tour: from the first stop, always fly to the closest unvisited one
+ */
+function nearestNeighborTour(stops, firstIndex) {
+    const remaining = [...stops];
+    const tour = remaining.splice(firstIndex, 1);
+    while (remaining.length > 0) {
+        const last = tour[tour.length - 1];
+        const next = getNearestStopIndex(remaining, last.coordinates.lat, last.coordinates.lng);
+        tour.push(remaining.splice(next, 1)[0]);
+    }
+    return tour;
+}
+
+/**
+ * 2-opt on a round trip: replacing legs a-b and c-d with a-c and b-d (reversing
+ * b..c) whenever that is shorter. The first stop never moves.
+ */
+function improveTour(tour) {
+    const n = tour.length;
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let i = 0; i < n - 2; i++) {
+            for (let j = i + 2; j < n; j++) {
+                const a = tour[i], b = tour[i + 1], c = tour[j], d = tour[(j + 1) % n];
+                if (a === d) continue;
+                const change = stopDistance(a, c) + stopDistance(b, d) - stopDistance(a, b) - stopDistance(c, d);
+                if (change < -1e-9) {
+                    tour.splice(i + 1, j - i, ...tour.slice(i + 1, j + 1).reverse());
+                    improved = true;
+                }
+            }
+        }
+    }
+    return tour;
+}
+
+/**
+ * Plan the flight: the stops in visiting order, starting with the one closest
+ * to start ({ lat, lng }, e.g. the camera; null = the first stop)
+ */
+export function planFlightTour(stops, start = null) {
+    if (stops.length === 0) return [];
+    const firstIndex = start ? getNearestStopIndex(stops, start.lat, start.lng) : 0;
+    return improveTour(nearestNeighborTour(stops, firstIndex));
+}
+
+/**
+ * Total length of a round trip in radians (for logging)
+ */
+export function getTourLength(tour) {
+    return tour.reduce((total, stop, i) => total + stopDistance(stop, tour[(i + 1) % tour.length]), 0);
+}
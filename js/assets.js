@@ -0,0 +1,59 @@
+/**
+ * Asset Sources
+ * Where the libraries and textures come from. This is a plain script, loaded
+ * before anything else: index.html needs the library URLs before any module runs.
+ * Modules reach it as window.ASSETS / window.getAssetUrl.
+ *
+ * source: 'local' (the default) uses the copies committed in vendor/, so the globe
+ * works without a connection (kiosks, trade shows); 'cdn' loads everything from the
+ * internet instead. vendor.py refreshes vendor/ from the CDN URLs below.
+ */
+window.ASSETS = {
+    source: 'local',
+    
+    // Startup stage 1: how long to wait for the globe.gl script to download (ms) before
+    // showing the fallback screen. Stage 2, the renderer coming up once the app runs,
+    // has its own limit: settings.startup.rendererTimeout in js/settings.js
+    libraryTimeout: 15000,
+    
+    // One entry per asset: its CDN URL and its local copy. Library versions are pinned
+    // so the CDN and vendor/ serve the same build (after changing one, run vendor.py --force).
+    // Three.js matches the revision bundled in the globe.gl build (r185), so the app's
+    // markers and the globe are built and rendered by the same Three.js version.
+    files: {
+        globeGl: { cdn: 'https://cdn.jsdelivr.net/npm/globe.gl@2.46.2/dist/globe.gl.min.js', local: 'vendor/globe.gl.min.js' },
+        three: { cdn: 'https://unpkg.com/three@0.185.0/build/three.module.js', local: 'vendor/three/three.module.js' },
+        // Imported by three.module.js next to it (not loaded directly)
+        threeCore: { cdn: 'https://unpkg.com/three@0.185.0/build/three.core.js', local: 'vendor/three/three.core.js' },
+        threeAddons: { cdn: 'https://unpkg.com/three@0.185.0/examples/jsm/', local: 'vendor/three/addons/' },
+        earthTexture: { cdn: 'https://cdn.jsdelivr.net/npm/three-globe@2.45.2/example/img/earth-night.jpg', local: 'vendor/img/earth-night.jpg' },
+        skyTexture: { cdn: 'https://cdn.jsdelivr.net/npm/three-globe@2.45.2/example/img/night-sky.png', local: 'vendor/img/night-sky.png' },
+        dracoDecoder: { cdn: 'https://unpkg.com/three@0.185.0/examples/jsm/libs/draco/gltf/', local: 'vendor/three/draco/' },
+        basisTranscoder: { cdn: 'https://unpkg.com/three@0.185.0/examples/jsm/libs/basis/', local: 'vendor/three/basis/' }
+    },
+    
+    // Files inside the folder assets above, copied by vendor.py
+    // (threeAddons: every addon module the app imports, and what those import)
+    folders: {
+        threeAddons: [
+            'loaders/GLTFLoader.js',
+            'loaders/DRACOLoader.js',
+            'loaders/KTX2Loader.js',
+            'math/ColorSpaces.js',
+            'utils/BufferGeometryUtils.js',
+            'utils/SkeletonUtils.js',
+            'utils/WorkerPool.js',
+            'libs/ktx-parse.module.js',
+            'libs/zstddec.module.js'
+        ],
+        dracoDecoder: ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js'],
+        basisTranscoder: ['basis_transcoder.js', 'basis_transcoder.wasm']
+    }
+};
+
+/**
+ * URL of an asset for the active source
+ */
+window.getAssetUrl = function(name) {
+    return window.ASSETS.files[name][window.ASSETS.source];
+};
@@ -0,0 +1,70 @@
+/**
+ * Boundaries Module
+ * Country polygons for the choropleth view, from a GeoJSON FeatureCollection
+ * bundled with the app (data/countries.geojson, Natural Earth 1:110m, public domain)
+ *
+ * Features are joined to the dataset by ISO 3166 alpha-3 code (properties.iso_a3),
+ * resolved through the gazetteer to the canonical country name.
+ * Countries too small for the 1:110m scale (e.g. Mauritius) have no polygon.
+ */
+import { lookupCountry } from './gazetteer.js';
+import { DatasetError } from './loader.js';
+
+// Polygon geometry by canonical country name
+export let boundaryData = new Map();
+
+export function setBoundaryData(data) {
+    boundaryData = data;
+}
+
+/**
+ * Index features by canonical country name; features the gazetteer doesn't know are skipped
+ */
+function indexBoundaries(json, url) {
+    if (!json || json.type !== 'FeatureCollection' || !Array.isArray(json.features)) {
+        throw new DatasetError(`Boundaries "${url}" must be a GeoJSON FeatureCollection`);
+    }
+
+    const boundaries = new Map();
+    const unknown = [];
+    json.features.forEach(feature => {
+        const code = feature.properties && feature.properties.iso_a3;
+        const entry = lookupCountry(code);
+        if (!entry || !feature.geometry) {
+            unknown.push(code || (feature.properties && feature.properties.name) || '?');
+            return;
+        }
+        boundaries.set(entry.name, feature.geometry);
+    });
+
+    if (unknown.length > 0) {
+        console.log(`Boundaries without a matching country (skipped): ${unknown.join(', ')}`);
+    }
+    return boundaries;
+}
+
+/**
+ * Load the country boundaries GeoJSON
+ */
+export async function loadBoundaries(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (e) {
+        throw new DatasetError(`Could not fetch boundaries "${url}": ${e.message}`);
+    }
+    if (!response.ok) {
+        throw new DatasetError(`Could not fetch boundaries "${url}" (HTTP ${response.status})`);
+    }
+
+    let json;
+    try {
+        json = await response.json();
+    } catch (e) {
+        throw new DatasetError(`Boundaries "${url}" are not valid JSON: ${e.message}`);
+    }
+
+    const boundaries = indexBoundaries(json, url);
+    console.log(`Loaded boundaries "${url}": ${boundaries.size} countries`);
+    return boundaries;
+}
@@ -0,0 +1,109 @@
+/**
+ * Attribute Breakdowns Module
+ * Country records may carry "segments": headcounts split by attributes such as
+ * discipline, seniority or team. Active facets narrow every count down to the
+ * matching segments.
+ *
+ * Segment: { "discipline": "Motion Design", "seniority": "Senior", "count": 3 }
+ * Within one attribute the selected values are OR-ed, across attributes AND-ed.
+ */
+
+// Active facet selections: attribute -> Set of values
+const activeFacets = new Map();
+
+/**
+ * Get the attribute names of a segment (every key except count)
+ */
+function getSegmentAttributes(segment) {
+    return Object.keys(segment).filter(key => key !== 'count');
+}
+
+/**
+ * Collect the facet options present in the data: { attribute: [values] }
+ */
+export function getFacetOptions(countryData) {
+    const options = {};
+    countryData.forEach(country => {
+        (country.segments || []).forEach(segment => {
+            getSegmentAttributes(segment).forEach(attribute => {
+                if (!options[attribute]) options[attribute] = new Set();
+                options[attribute].add(segment[attribute]);
+            });
+        });
+    });
+
+    return Object.fromEntries(
+        Object.entries(options).map(([attribute, values]) => [attribute, [...values].sort()])
+    );
+}
+
+/**
+ * Check whether any facet is active
+ */
+export function hasActiveFacets() {
+    return activeFacets.size > 0;
+}
+
+/**
+ * Check whether a facet value is selected
+ */
+export function isFacetActive(attribute, value) {
+    return activeFacets.has(attribute) && activeFacets.get(attribute).has(value);
+}
+
+/**
+ * Toggle a facet value on or off
+ */
+export function toggleFacet(attribute, value) {
+    if (!activeFacets.has(attribute)) activeFacets.set(attribute, new Set());
+    const values = activeFacets.get(attribute);
+
+    if (values.has(value)) {
+        values.delete(value);
+        if (values.size === 0) activeFacets.delete(attribute);
+    } else {
+        values.add(value);
+    }
+}
+
+/**
+ * Clear every facet
+ */
+export function clearFacets() {
+    activeFacets.clear();
+}
+
+/**
+ * Describe the active facets for display ("Motion Design · Senior")
+ */
+export function describeActiveFacets() {
+    return [...activeFacets.values()].map(values => [...values].join(' / ')).join(' · ');
+}
+
+/**
+ * Check whether a segment matches every active facet
+ */
+function segmentMatches(segment) {
+    return [...activeFacets.entries()].every(([attribute, values]) => values.has(segment[attribute]));
+}
+
+/**
+ * Apply the active facets: every record gets its effective count
+ * (totalCount keeps the unfiltered headcount). Countries with no match keep a
+ * count of 0 so selections and lists stay stable; the globe skips them.
+ * City locations cannot be split by attribute, so they are left out while filtering.
+ */
+export function applyFacets(countryData) {
+    if (!hasActiveFacets()) {
+        return countryData.map(country => ({ ...country, totalCount: country.count }));
+    }
+
+    return countryData
+        .map(country => {
+            const { cities, ...rest } = country;
+            const count = (country.segments || [])
+                .filter(segmentMatches)
+                .reduce((sum, segment) => sum + segment.count, 0);
+            return { ...rest, count, totalCount: country.count };
+        });
+}
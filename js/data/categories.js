@@ -1,40 +1,179 @@
 /**
  * Category Definitions
- * Regional categories with questions and country lists
- */
-import { countryData } from './countries.js';
-
-/**
- * Category Colors
- * Each category has a unique color for visualization
- * Using bright colors from the palette for visibility in dark scenes
- */
-export const categoryColors = {
-    'lone_wolf': '#8DFDBA',        // Mint - bright green for lone wolves
-    'latin_america': '#D8FF85',    // Spark - bright yellow-green for Latin America
-    'europe': '#A1D4FF',           // Sky - bright blue for Europe
-    'africa': '#FF9595'            // Peach - bright coral-pink for Africa
-};
-
-export const categories = {
-    'lone_wolf': {
-        question: 'Are there lone wolf countries at Superside?',
-        countries: countryData.filter(country => country.count === 1).map(country => country.name),
-        color: categoryColors.lone_wolf
-    },
-    'latin_america': {
-        question: 'How strong is Superside\'s presence in Latin America?',
-        countries: ['Argentina', 'Brazil', 'Chile', 'Colombia', 'Costa Rica', 'Dominican Republic', 'Ecuador', 'El Salvador', 'Guatemala', 'Honduras', 'Mexico', 'Nicaragua', 'Panama', 'Paraguay', 'Peru', 'Uruguay', 'Venezuela'],
-        color: categoryColors.latin_america
-    },
-    'europe': {
-        question: 'Which European countries have Supersiders?',
-        countries: ['Armenia', 'Bosnia & Herzegovina', 'Bulgaria', 'Croatia', 'Cyprus', 'Denmark', 'France', 'Georgia', 'Germany', 'Greece', 'Hungary', 'Ireland', 'Italy', 'Latvia', 'Lithuania', 'Netherlands', 'North Macedonia', 'Norway', 'Poland', 'Portugal', 'Romania', 'Russian Federation', 'Serbia', 'Slovenia', 'Spain', 'Sweden', 'Turkey', 'Ukraine', 'United Kingdom'],
-        color: categoryColors.europe
-    },
-    'africa': {
-        question: 'Is Superside expanding across Africa?',
-        countries: ['Egypt', 'Ghana', 'Kenya', 'Libya', 'Mauritius', 'Morocco', 'Nigeria', 'South Africa', 'Tunisia'],
-        color: categoryColors.africa
+ * Categories are declared as rules in a config file (data/categories.json)
+ * and resolved against the loaded country data
+ *
+ * Rule fields (all optional):
+ *   regions / subregions  - gazetteer region membership
+ *   include               - extra countries (names, aliases or ISO codes)
+ *   exclude               - countries removed after everything else
+ *   minCount / maxCount   - headcount thresholds, applied to every member
+ * Without regions, subregions or include, every country is a candidate.
+ *
+ * "connections" (optional) picks the arc strategy for the category:
+ * "random", "hub", "nearest", "mst", or { "strategy": "hub", "hubs": ["AR"], "k": 3 }
+ *
+ * "marker" (optional) adds a 3D marker to each member country (see js/markers):
+ * "orbiter", "flag", "ring", "icon", or { "type": "orbiter", "model": "...", "speed": 2 }
+ * where the other fields override settings.markers.<type>
+ */
+import { DatasetError } from './loader.js';
+import { lookupCountry, getAllCountries } from './gazetteer.js';
+
+// Raw definitions from the config file, kept so categories can be re-resolved
+let categoryDefinitions = {};
+
+// Resolved categories: { id: { question, color, view, countries: [names], warnings: [] } }
+export let categories = {};
+
+/**
+ * Map a rule entry (name, alias or code) to a dataset country name
+ */
+function resolveRuleCountry(entry, countryData) {
+    const direct = countryData.find(country => country.name === entry || country.code === entry);
+    if (direct) return { name: direct.name };
+
+    const gazetteerEntry = lookupCountry(entry);
+    if (!gazetteerEntry) return { warning: `"${entry}" is not a known country` };
+
+    const match = countryData.find(country => country.name === gazetteerEntry.name);
+    if (!match) return { warning: `"${entry}" has no Supersiders in the dataset` };
+    return { name: match.name };
+}
+
+/**
+ * Resolve one category definition to its list of country names
+ */
+export function resolveCategory(definition, countryData) {
+    const rules = definition.rules || {};
+    const warnings = [];
+
+    const knownRegions = new Set(getAllCountries().map(country => country.region));
+    const knownSubregions = new Set(getAllCountries().map(country => country.subregion));
+    (rules.regions || []).filter(region => !knownRegions.has(region))
+        .forEach(region => warnings.push(`Unknown region "${region}"`));
+    (rules.subregions || []).filter(subregion => !knownSubregions.has(subregion))
+        .forEach(subregion => warnings.push(`Unknown subregion "${subregion}"`));
+
+    const resolveList = (list) => (list || []).map(entry => {
+        const result = resolveRuleCountry(entry, countryData);
+        if (result.warning) warnings.push(result.warning);
+        return result.name;
+    }).filter(Boolean);
+
+    const included = new Set(resolveList(rules.include));
+    const excluded = new Set(resolveList(rules.exclude));
+    const hasMembership = Boolean(rules.regions || rules.subregions || rules.include);
+
+    const countries = countryData.filter(country => {
+        if (excluded.has(country.name)) return false;
+        if (rules.minCount !== undefined && country.count < rules.minCount) return false;
+        if (rules.maxCount !== undefined && country.count > rules.maxCount) return false;
+        if (!hasMembership) return true;
+        return included.has(country.name) ||
+            (rules.regions || []).includes(country.region) ||
+            (rules.subregions || []).includes(country.subregion);
+    }).map(country => country.name);
+
+    return { countries, warnings };
+}
+
+/**
+ * Re-resolve every category against the given country data
+ */
+export function refreshCategories(countryData) {
+    categories = {};
+    Object.entries(categoryDefinitions).forEach(([categoryId, definition]) => {
+        const { countries, warnings } = resolveCategory(definition, countryData);
+        warnings.forEach(warning => console.warn(`Category "${categoryId}": ${warning}`));
+        categories[categoryId] = {
+            ...definition,
+            countries,
+            warnings
+        };
+    });
+    return categories;
+}
+
+/**
+ * Check whether a category only holds one-person countries (rules.maxCount of 1,
+ * like the lone-wolf question): its random arcs give every member a better chance
+ * to connect
+ */
+export function isSinglePersonCategory(categoryId) {
+    const rules = categories[categoryId] && categories[categoryId].rules;
+    return Boolean(rules && rules.maxCount !== undefined && rules.maxCount <= 1);
+}
+
+/**
+ * Validate raw category definitions from the config file
+ */
+export function validateCategoryDefinitions(definitions) {
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+        throw new DatasetError('Category config must contain a "categories" object');
+    }
+
+    const errors = [];
+    const isList = (value) => value === undefined || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+    const isView = (view) => view === undefined || view === null || view === 'flight' ||
+        (typeof view === 'object' && ['lat', 'lng', 'altitude'].every(key => Number.isFinite(view[key])));
+    const isMarker = (marker) => marker === undefined || marker === null || typeof marker === 'string' ||
+        (typeof marker === 'object' && typeof marker.type === 'string');
+    const isConnections = (connections) => connections === undefined || typeof connections === 'string' ||
+        (connections !== null && typeof connections === 'object' && typeof connections.strategy === 'string' &&
+            isList(connections.hubs) && (connections.k === undefined || Number.isInteger(connections.k)));
+
+    Object.entries(definitions).forEach(([categoryId, definition]) => {
+        if (!definition || typeof definition !== 'object') {
+            errors.push(`"${categoryId}": not an object`);
+            return;
+        }
+        if (typeof definition.question !== 'string' || definition.question.trim() === '') {
+            errors.push(`"${categoryId}": missing question`);
+        }
+        if (typeof definition.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(definition.color)) {
+            errors.push(`"${categoryId}": color must be a #RRGGBB hex string`);
+        }
+        const rules = definition.rules || {};
+        ['regions', 'subregions', 'include', 'exclude'].filter(key => !isList(rules[key]))
+            .forEach(key => errors.push(`"${categoryId}": rules.${key} must be a list of strings`));
+        ['minCount', 'maxCount'].filter(key => rules[key] !== undefined && !Number.isFinite(rules[key]))
+            .forEach(key => errors.push(`"${categoryId}": rules.${key} must be a number`));
+        if (!isView(definition.view)) {
+            errors.push(`"${categoryId}": view must be "flight" or { lat, lng, altitude }`);
+        }
+        if (!isConnections(definition.connections)) {
+            errors.push(`"${categoryId}": connections must be a strategy name or { strategy, hubs?, k? }`);
+        }
+        if (!isMarker(definition.marker)) {
+            errors.push(`"${categoryId}": marker must be a marker type or { type, ... }`);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new DatasetError(`Category config has ${errors.length} invalid entr${errors.length === 1 ? 'y' : 'ies'}`, errors);
+    }
+    return definitions;
+}
+
+/**
+ * Replace the category definitions
+ */
+export function setCategoryDefinitions(definitions) {
+    categoryDefinitions = definitions;
+}
+
+/**
+ * Fetch and validate the category config file
+ */
+export async function loadCategoryDefinitions(url) {
+    let json;
+    try {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        json = await response.json();
+    } catch (e) {
+        throw new DatasetError(`Could not load category config "${url}": ${e.message}`);
     }
-};
+    return validateCategoryDefinitions(json && json.categories);
+}
@@ -1,76 +1,13 @@
 /**
  * Country Data
- * Contains all country information with coordinates and supersider counts
+ * Holds the currently loaded country records ({ name, code, region, subregion, count, coordinates })
+ * The records come from the external dataset file - see loader.js
  */
-export const countryData = [
-    { name: "South Africa", count: 134, coordinates: { lat: -30.5595, lng: 22.9375 } },
-    { name: "Brazil", count: 106, coordinates: { lat: -14.235, lng: -51.9253 } },
-    { name: "Argentina", count: 103, coordinates: { lat: -34.6037, lng: -58.3816 } },
-    { name: "Colombia", count: 70, coordinates: { lat: 4.5709, lng: -74.2973 } },
-    { name: "Spain", count: 44, coordinates: { lat: 40.4637, lng: -3.7492 } },
-    { name: "Mexico", count: 43, coordinates: { lat: 23.6345, lng: -102.5528 } },
-    { name: "United States of America (USA)", count: 40, coordinates: { lat: 37.0902, lng: -95.7129 } },
-    { name: "Portugal", count: 34, coordinates: { lat: 39.3999, lng: -8.2245 } },
-    { name: "Canada", count: 21, coordinates: { lat: 56.1304, lng: -106.3468 } },
-    { name: "Costa Rica", count: 16, coordinates: { lat: 9.7489, lng: -83.7534 } },
-    { name: "United Kingdom", count: 16, coordinates: { lat: 55.3781, lng: -3.436 } },
-    { name: "Uruguay", count: 13, coordinates: { lat: -32.5228, lng: -55.7658 } },
-    { name: "Germany", count: 10, coordinates: { lat: 51.1657, lng: 10.4515 } },
-    { name: "Peru", count: 10, coordinates: { lat: -9.19, lng: -75.0152 } },
-    { name: "Poland", count: 10, coordinates: { lat: 51.9194, lng: 19.1451 } },
-    { name: "Italy", count: 8, coordinates: { lat: 41.8719, lng: 12.5674 } },
-    { name: "Philippines", count: 8, coordinates: { lat: 12.8797, lng: 121.774 } },
-    { name: "Romania", count: 8, coordinates: { lat: 45.9432, lng: 24.9668 } },
-    { name: "Ecuador", count: 7, coordinates: { lat: -1.8312, lng: -78.1834 } },
-    { name: "El Salvador", count: 7, coordinates: { lat: 13.7942, lng: -88.8965 } },
-    { name: "Indonesia", count: 7, coordinates: { lat: -0.7893, lng: 113.9213 } },
-    { name: "Norway", count: 7, coordinates: { lat: 60.472, lng: 8.4689 } },
-    { name: "Panama", count: 7, coordinates: { lat: 8.538, lng: -80.7821 } },
-    { name: "Serbia", count: 7, coordinates: { lat: 44.0165, lng: 21.0059 } },
-    { name: "Dominican Republic", count: 5, coordinates: { lat: 18.7357, lng: -70.1627 } },
-    { name: "Greece", count: 5, coordinates: { lat: 39.0742, lng: 21.8243 } },
-    { name: "Hungary", count: 5, coordinates: { lat: 47.1625, lng: 19.5033 } },
-    { name: "India", count: 5, coordinates: { lat: 20.5937, lng: 78.9629 } },
-    { name: "Netherlands", count: 5, coordinates: { lat: 52.1326, lng: 5.2913 } },
-    { name: "United Arab Emirates", count: 5, coordinates: { lat: 23.4241, lng: 53.8478 } },
-    { name: "Bosnia & Herzegovina", count: 4, coordinates: { lat: 43.9159, lng: 17.6791 } },
-    { name: "Egypt", count: 4, coordinates: { lat: 26.0975, lng: 31.2357 } },
-    { name: "France", count: 4, coordinates: { lat: 46.6034, lng: 1.8883 } },
-    { name: "Venezuela", count: 4, coordinates: { lat: 6.4238, lng: -66.5897 } },
-    { name: "Armenia", count: 3, coordinates: { lat: 40.1792, lng: 44.4991 } },
-    { name: "Chile", count: 3, coordinates: { lat: -35.6751, lng: -71.543 } },
-    { name: "Guatemala", count: 3, coordinates: { lat: 15.7835, lng: -90.2308 } },
-    { name: "Malaysia", count: 3, coordinates: { lat: 4.2105, lng: 101.9758 } },
-    { name: "Nicaragua", count: 3, coordinates: { lat: 12.265, lng: -85.2072 } },
-    { name: "North Macedonia", count: 3, coordinates: { lat: 41.6086, lng: 21.7453 } },
-    { name: "Ukraine", count: 3, coordinates: { lat: 48.3794, lng: 31.1656 } },
-    { name: "Australia", count: 2, coordinates: { lat: -25.2744, lng: 133.7751 } },
-    { name: "Latvia", count: 2, coordinates: { lat: 56.8796, lng: 24.6032 } },
-    { name: "Libya", count: 2, coordinates: { lat: 26.3351, lng: 17.2283 } },
-    { name: "Lithuania", count: 2, coordinates: { lat: 55.1694, lng: 23.8813 } },
-    { name: "Turkey", count: 2, coordinates: { lat: 38.9637, lng: 35.2433 } },
-    { name: "Bulgaria", count: 1, coordinates: { lat: 42.6977, lng: 23.3219 } },
-    { name: "Croatia", count: 1, coordinates: { lat: 45.815, lng: 15.9819 } },
-    { name: "Cyprus", count: 1, coordinates: { lat: 35.1264, lng: 33.4299 } },
-    { name: "Denmark", count: 1, coordinates: { lat: 55.6761, lng: 12.5683 } },
-    { name: "Georgia", count: 1, coordinates: { lat: 41.7151, lng: 44.8271 } },
-    { name: "Ghana", count: 1, coordinates: { lat: 5.6037, lng: -0.187 } },
-    { name: "Guyana", count: 1, coordinates: { lat: 6.8013, lng: -58.1551 } },
-    { name: "Honduras", count: 1, coordinates: { lat: 14.065, lng: -87.1715 } },
-    { name: "Ireland", count: 1, coordinates: { lat: 53.4129, lng: -8.2439 } },
-    { name: "Jordan", count: 1, coordinates: { lat: 31.9454, lng: 35.9284 } },
-    { name: "Kenya", count: 1, coordinates: { lat: -1.2921, lng: 36.8219 } },
-    { name: "Lebanon", count: 1, coordinates: { lat: 33.8547, lng: 35.8623 } },
-    { name: "Martinique", count: 1, coordinates: { lat: 14.6415, lng: -61.0242 } },
-    { name: "Mauritius", count: 1, coordinates: { lat: -20.1609, lng: 57.5012 } },
-    { name: "Morocco", count: 1, coordinates: { lat: 31.7917, lng: -7.0926 } },
-    { name: "New Zealand", count: 1, coordinates: { lat: -40.9006, lng: 174.886 } },
-    { name: "Nigeria", count: 1, coordinates: { lat: 9.082, lng: 8.6753 } },
-    { name: "Palestine", count: 1, coordinates: { lat: 31.9522, lng: 35.2332 } },
-    { name: "Paraguay", count: 1, coordinates: { lat: -23.4425, lng: -58.4438 } },
-    { name: "Russian Federation", count: 1, coordinates: { lat: 55.7558, lng: 37.6173 } },
-    { name: "Slovenia", count: 1, coordinates: { lat: 46.1512, lng: 14.9955 } },
-    { name: "Sweden", count: 1, coordinates: { lat: 59.3293, lng: 18.0686 } },
-    { name: "Thailand", count: 1, coordinates: { lat: 13.7563, lng: 100.5018 } },
-    { name: "Tunisia", count: 1, coordinates: { lat: 33.8869, lng: 9.5375 } }
-];
+export let countryData = [];
+
+/**
+ * Replace the current country records
+ */
+export function setCountryData(data) {
+    countryData = data;
+}
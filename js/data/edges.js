@@ -0,0 +1,130 @@
+/**
+ * Edges Module
+ * Real relationships between countries (collaboration counts, client-to-talent
+ * flows...) loaded from an edge list, as opposed to the decorative arcs
+ * invented by generateConnections
+ *
+ * JSON: { "edges": [{ "source": "AR", "target": "US", "weight": 42, "type": "Collaboration" }] }
+ * CSV:  header row "source,target,weight" plus any extra columns
+ *
+ * Endpoints are ISO codes or country names (resolved through the gazetteer).
+ * Every field besides source, target and weight is kept as metadata and shown
+ * when the arc is clicked.
+ */
+import { lookupCountry } from './gazetteer.js';
+import { DatasetError, splitCsvLine } from './loader.js';
+
+// Validated edges: { source, target, weight, metadata }
+export let edgeData = [];
+
+export function setEdgeData(data) {
+    edgeData = data;
+}
+
+/**
+ * Parse edge CSV text into raw rows
+ */
+function parseEdgeCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+        throw new DatasetError('Edge list CSV is empty');
+    }
+
+    const header = splitCsvLine(lines[0]).map(column => column.toLowerCase());
+    const missing = ['source', 'target', 'weight'].filter(column => !header.includes(column));
+    if (missing.length > 0) {
+        throw new DatasetError(`Edge list CSV is missing columns: ${missing.join(', ')}`);
+    }
+
+    return lines.slice(1).map(line => {
+        const values = splitCsvLine(line);
+        const row = {};
+        header.forEach((column, i) => { row[column] = values[i]; });
+        row.weight = row.weight === undefined || row.weight === '' ? NaN : Number(row.weight);
+        return row;
+    });
+}
+
+/**
+ * Validate raw edge rows. Collects every problem before failing.
+ */
+export function validateEdges(rows) {
+    if (!Array.isArray(rows)) {
+        throw new DatasetError('Edge list must contain an "edges" list');
+    }
+
+    const errors = [];
+    const seen = new Set();
+    const edges = [];
+
+    rows.forEach((row, index) => {
+        if (!row || typeof row !== 'object') {
+            errors.push(`Edge ${index + 1}: not an object`);
+            return;
+        }
+        const { source, target, weight, ...metadata } = row;
+        const label = `Edge ${index + 1} (${source} → ${target})`;
+        const sourceCountry = typeof source === 'string' ? lookupCountry(source) : null;
+        const targetCountry = typeof target === 'string' ? lookupCountry(target) : null;
+
+        if (!sourceCountry) errors.push(`${label}: unknown source country`);
+        if (!targetCountry) errors.push(`${label}: unknown target country`);
+        if (!Number.isFinite(weight) || weight <= 0) {
+            errors.push(`${label}: weight must be a positive number`);
+        }
+        if (!sourceCountry || !targetCountry) return;
+
+        if (sourceCountry.name === targetCountry.name) {
+            errors.push(`${label}: source and target are the same country`);
+            return;
+        }
+        const key = `${sourceCountry.name}→${targetCountry.name}:${metadata.type || ''}`;
+        if (seen.has(key)) {
+            errors.push(`${label}: duplicate edge`);
+            return;
+        }
+        seen.add(key);
+
+        edges.push({ source: sourceCountry.name, target: targetCountry.name, weight, metadata });
+    });
+
+    if (errors.length > 0) {
+        throw new DatasetError(`Edge list has ${errors.length} invalid edge${errors.length === 1 ? '' : 's'}`, errors);
+    }
+    return edges;
+}
+
+/**
+ * Fetch, parse and validate the edge list file
+ */
+export async function loadEdges(url) {
+    let response;
+    try {
+        response = await fetch(url, { cache: 'no-cache' });
+    } catch (e) {
+        throw new DatasetError(`Could not fetch edge list "${url}": ${e.message}`);
+    }
+    if (!response.ok) {
+        throw new DatasetError(`Could not fetch edge list "${url}" (HTTP ${response.status})`);
+    }
+
+    const text = await response.text();
+    const isCsv = /\.csv(\?|$)/i.test(url) || (response.headers.get('content-type') || '').includes('text/csv');
+
+    let rows;
+    if (isCsv) {
+        rows = parseEdgeCsv(text);
+    } else {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            throw new DatasetError(`Edge list "${url}" is not valid JSON: ${e.message}`);
+        }
+        rows = Array.isArray(json) ? json : json && json.edges;
+    }
+
+    const edges = validateEdges(rows);
+    console.log(`Loaded edge list "${url}": ${edges.length} edges`);
+    return edges;
+}
@@ -0,0 +1,368 @@
+/**
+ * Country Gazetteer Module
+ * Offline lookup of countries by ISO 3166 alpha-2/alpha-3 code or name alias
+ * Resolves dataset rows to canonical name, code, region and centroid coordinates
+ */
+
+/**
+ * Country table: [alpha2, alpha3, canonical name, region, subregion, lat, lng]
+ * Regions follow the UN M49 scheme; coordinates are geographic centroids
+ */
+const COUNTRY_TABLE = [
+    // Africa
+    ['DZ', 'DZA', 'Algeria', 'Africa', 'Northern Africa', 28.033886, 1.659626],
+    ['EG', 'EGY', 'Egypt', 'Africa', 'Northern Africa', 26.820553, 30.802498],
+    ['LY', 'LBY', 'Libya', 'Africa', 'Northern Africa', 26.3351, 17.228331],
+    ['MA', 'MAR', 'Morocco', 'Africa', 'Northern Africa', 31.791702, -7.09262],
+    ['SD', 'SDN', 'Sudan', 'Africa', 'Northern Africa', 12.862807, 30.217636],
+    ['TN', 'TUN', 'Tunisia', 'Africa', 'Northern Africa', 33.886917, 9.537499],
+    ['EH', 'ESH', 'Western Sahara', 'Africa', 'Northern Africa', 24.215527, -12.885834],
+    ['BI', 'BDI', 'Burundi', 'Africa', 'Eastern Africa', -3.373056, 29.918886],
+    ['KM', 'COM', 'Comoros', 'Africa', 'Eastern Africa', -11.875001, 43.872219],
+    ['DJ', 'DJI', 'Djibouti', 'Africa', 'Eastern Africa', 11.825138, 42.590275],
+    ['ER', 'ERI', 'Eritrea', 'Africa', 'Eastern Africa', 15.179384, 39.782334],
+    ['ET', 'ETH', 'Ethiopia', 'Africa', 'Eastern Africa', 9.145, 40.489673],
+    ['KE', 'KEN', 'Kenya', 'Africa', 'Eastern Africa', -0.023559, 37.906193],
+    ['MG', 'MDG', 'Madagascar', 'Africa', 'Eastern Africa', -18.766947, 46.869107],
+    ['MW', 'MWI', 'Malawi', 'Africa', 'Eastern Africa', -13.254308, 34.301525],
+    ['MU', 'MUS', 'Mauritius', 'Africa', 'Eastern Africa', -20.348404, 57.552152],
+    ['YT', 'MYT', 'Mayotte', 'Africa', 'Eastern Africa', -12.8275, 45.166244],
+    ['MZ', 'MOZ', 'Mozambique', 'Africa', 'Eastern Africa', -18.665695, 35.529562],
+    ['RE', 'REU', 'Réunion', 'Africa', 'Eastern Africa', -21.115141, 55.536384],
+    ['RW', 'RWA', 'Rwanda', 'Africa', 'Eastern Africa', -1.940278, 29.873888],
+    ['SC', 'SYC', 'Seychelles', 'Africa', 'Eastern Africa', -4.679574, 55.491977],
+    ['SO', 'SOM', 'Somalia', 'Africa', 'Eastern Africa', 5.152149, 46.199616],
+    ['SS', 'SSD', 'South Sudan', 'Africa', 'Eastern Africa', 6.876992, 31.306979],
+    ['TZ', 'TZA', 'Tanzania', 'Africa', 'Eastern Africa', -6.369028, 34.888822],
+    ['UG', 'UGA', 'Uganda', 'Africa', 'Eastern Africa', 1.373333, 32.290275],
+    ['ZM', 'ZMB', 'Zambia', 'Africa', 'Eastern Africa', -13.133897, 27.849332],
+    ['ZW', 'ZWE', 'Zimbabwe', 'Africa', 'Eastern Africa', -19.015438, 29.154857],
+    ['AO', 'AGO', 'Angola', 'Africa', 'Middle Africa', -11.202692, 17.873887],
+    ['CM', 'CMR', 'Cameroon', 'Africa', 'Middle Africa', 7.369722, 12.354722],
+    ['CF', 'CAF', 'Central African Republic', 'Africa', 'Middle Africa', 6.611111, 20.939444],
+    ['TD', 'TCD', 'Chad', 'Africa', 'Middle Africa', 15.454166, 18.732207],
+    ['CG', 'COG', 'Republic of the Congo', 'Africa', 'Middle Africa', -0.228021, 15.827659],
+    ['CD', 'COD', 'DR Congo', 'Africa', 'Middle Africa', -4.038333, 21.758664],
+    ['GQ', 'GNQ', 'Equatorial Guinea', 'Africa', 'Middle Africa', 1.650801, 10.267895],
+    ['GA', 'GAB', 'Gabon', 'Africa', 'Middle Africa', -0.803689, 11.609444],
+    ['ST', 'STP', 'São Tomé and Príncipe', 'Africa', 'Middle Africa', 0.18636, 6.613081],
+    ['BW', 'BWA', 'Botswana', 'Africa', 'Southern Africa', -22.328474, 24.684866],
+    ['SZ', 'SWZ', 'Eswatini', 'Africa', 'Southern Africa', -26.522503, 31.465866],
+    ['LS', 'LSO', 'Lesotho', 'Africa', 'Southern Africa', -29.609988, 28.233608],
+    ['NA', 'NAM', 'Namibia', 'Africa', 'Southern Africa', -22.95764, 18.49041],
+    ['ZA', 'ZAF', 'South Africa', 'Africa', 'Southern Africa', -30.559482, 22.937506],
+    ['BJ', 'BEN', 'Benin', 'Africa', 'Western Africa', 9.30769, 2.315834],
+    ['BF', 'BFA', 'Burkina Faso', 'Africa', 'Western Africa', 12.238333, -1.561593],
+    ['CV', 'CPV', 'Cabo Verde', 'Africa', 'Western Africa', 16.002082, -24.013197],
+    ['CI', 'CIV', "Côte d'Ivoire", 'Africa', 'Western Africa', 7.539989, -5.54708],
+    ['GM', 'GMB', 'Gambia', 'Africa', 'Western Africa', 13.443182, -15.310139],
+    ['GH', 'GHA', 'Ghana', 'Africa', 'Western Africa', 7.946527, -1.023194],
+    ['GN', 'GIN', 'Guinea', 'Africa', 'Western Africa', 9.945587, -9.696645],
+    ['GW', 'GNB', 'Guinea-Bissau', 'Africa', 'Western Africa', 11.803749, -15.180413],
+    ['LR', 'LBR', 'Liberia', 'Africa', 'Western Africa', 6.428055, -9.429499],
+    ['ML', 'MLI', 'Mali', 'Africa', 'Western Africa', 17.570692, -3.996166],
+    ['MR', 'MRT', 'Mauritania', 'Africa', 'Western Africa', 21.00789, -10.940835],
+    ['NE', 'NER', 'Niger', 'Africa', 'Western Africa', 17.607789, 8.081666],
+    ['NG', 'NGA', 'Nigeria', 'Africa', 'Western Africa', 9.081999, 8.675277],
+    ['SN', 'SEN', 'Senegal', 'Africa', 'Western Africa', 14.497401, -14.452362],
+    ['SL', 'SLE', 'Sierra Leone', 'Africa', 'Western Africa', 8.460555, -11.779889],
+    ['TG', 'TGO', 'Togo', 'Africa', 'Western Africa', 8.619543, 0.824782],
+
+    // Americas
+    ['AI', 'AIA', 'Anguilla', 'Americas', 'Caribbean', 18.220554, -63.068615],
+    ['AG', 'ATG', 'Antigua and Barbuda', 'Americas', 'Caribbean', 17.060816, -61.796428],
+    ['AW', 'ABW', 'Aruba', 'Americas', 'Caribbean', 12.52111, -69.968338],
+    ['BS', 'BHS', 'Bahamas', 'Americas', 'Caribbean', 24.25, -76.0],
+    ['BB', 'BRB', 'Barbados', 'Americas', 'Caribbean', 13.193887, -59.543198],
+    ['KY', 'CYM', 'Cayman Islands', 'Americas', 'Caribbean', 19.513469, -80.566956],
+    ['CU', 'CUB', 'Cuba', 'Americas', 'Caribbean', 21.521757, -77.781167],
+    ['CW', 'CUW', 'Curaçao', 'Americas', 'Caribbean', 12.16957, -68.990021],
+    ['DM', 'DMA', 'Dominica', 'Americas', 'Caribbean', 15.414999, -61.370976],
+    ['DO', 'DOM', 'Dominican Republic', 'Americas', 'Caribbean', 18.735693, -70.162651],
+    ['GD', 'GRD', 'Grenada', 'Americas', 'Caribbean', 12.262776, -61.604171],
+    ['GP', 'GLP', 'Guadeloupe', 'Americas', 'Caribbean', 16.995971, -62.067641],
+    ['HT', 'HTI', 'Haiti', 'Americas', 'Caribbean', 18.971187, -72.285215],
+    ['JM', 'JAM', 'Jamaica', 'Americas', 'Caribbean', 18.109581, -77.297508],
+    ['MQ', 'MTQ', 'Martinique', 'Americas', 'Caribbean', 14.641528, -61.024174],
+    ['MS', 'MSR', 'Montserrat', 'Americas', 'Caribbean', 16.742498, -62.187366],
+    ['PR', 'PRI', 'Puerto Rico', 'Americas', 'Caribbean', 18.220833, -66.590149],
+    ['KN', 'KNA', 'Saint Kitts and Nevis', 'Americas', 'Caribbean', 17.357822, -62.782998],
+    ['LC', 'LCA', 'Saint Lucia', 'Americas', 'Caribbean', 13.909444, -60.978893],
+    ['VC', 'VCT', 'Saint Vincent and the Grenadines', 'Americas', 'Caribbean', 12.984305, -61.287228],
+    ['TT', 'TTO', 'Trinidad and Tobago', 'Americas', 'Caribbean', 10.691803, -61.222503],
+    ['TC', 'TCA', 'Turks and Caicos Islands', 'Americas', 'Caribbean', 21.694025, -71.797928],
+    ['VG', 'VGB', 'British Virgin Islands', 'Americas', 'Caribbean', 18.420695, -64.639968],
+    ['VI', 'VIR', 'U.S. Virgin Islands', 'Americas', 'Caribbean', 18.335765, -64.896335],
+    ['BZ', 'BLZ', 'Belize', 'Americas', 'Central America', 17.189877, -88.49765],
+    ['CR', 'CRI', 'Costa Rica', 'Americas', 'Central America', 9.748917, -83.753428],
+    ['SV', 'SLV', 'El Salvador', 'Americas', 'Central America', 13.794185, -88.89653],
+    ['GT', 'GTM', 'Guatemala', 'Americas', 'Central America', 15.783471, -90.230759],
+    ['HN', 'HND', 'Honduras', 'Americas', 'Central America', 15.199999, -86.241905],
+    ['MX', 'MEX', 'Mexico', 'Americas', 'Central America', 23.634501, -102.552784],
+    ['NI', 'NIC', 'Nicaragua', 'Americas', 'Central America', 12.865416, -85.207229],
+    ['PA', 'PAN', 'Panama', 'Americas', 'Central America', 8.537981, -80.782127],
+    ['AR', 'ARG', 'Argentina', 'Americas', 'South America', -38.416097, -63.616672],
+    ['BO', 'BOL', 'Bolivia', 'Americas', 'South America', -16.290154, -63.588653],
+    ['BR', 'BRA', 'Brazil', 'Americas', 'South America', -14.235004, -51.92528],
+    ['CL', 'CHL', 'Chile', 'Americas', 'South America', -35.675147, -71.542969],
+    ['CO', 'COL', 'Colombia', 'Americas', 'South America', 4.570868, -74.297333],
+    ['EC', 'ECU', 'Ecuador', 'Americas', 'South America', -1.831239, -78.183406],
+    ['FK', 'FLK', 'Falkland Islands', 'Americas', 'South America', -51.796253, -59.523613],
+    ['GF', 'GUF', 'French Guiana', 'Americas', 'South America', 3.933889, -53.125782],
+    ['GY', 'GUY', 'Guyana', 'Americas', 'South America', 4.860416, -58.93018],
+    ['PY', 'PRY', 'Paraguay', 'Americas', 'South America', -23.442503, -58.443832],
+    ['PE', 'PER', 'Peru', 'Americas', 'South America', -9.189967, -75.015152],
+    ['SR', 'SUR', 'Suriname', 'Americas', 'South America', 3.919305, -56.027783],
+    ['UY', 'URY', 'Uruguay', 'Americas', 'South America', -32.522779, -55.765835],
+    ['VE', 'VEN', 'Venezuela', 'Americas', 'South America', 6.42375, -66.58973],
+    ['BM', 'BMU', 'Bermuda', 'Americas', 'Northern America', 32.321384, -64.75737],
+    ['CA', 'CAN', 'Canada', 'Americas', 'Northern America', 56.130366, -106.346771],
+    ['GL', 'GRL', 'Greenland', 'Americas', 'Northern America', 71.706936, -42.604303],
+    ['PM', 'SPM', 'Saint Pierre and Miquelon', 'Americas', 'Northern America', 46.941936, -56.27111],
+    ['US', 'USA', 'United States', 'Americas', 'Northern America', 37.09024, -95.712891],
+
+    // Asia
+    ['KZ', 'KAZ', 'Kazakhstan', 'Asia', 'Central Asia', 48.019573, 66.923684],
+    ['KG', 'KGZ', 'Kyrgyzstan', 'Asia', 'Central Asia', 41.20438, 74.766098],
+    ['TJ', 'TJK', 'Tajikistan', 'Asia', 'Central Asia', 38.861034, 71.276093],
+    ['TM', 'TKM', 'Turkmenistan', 'Asia', 'Central Asia', 38.969719, 59.556278],
+    ['UZ', 'UZB', 'Uzbekistan', 'Asia', 'Central Asia', 41.377491, 64.585262],
+    ['CN', 'CHN', 'China', 'Asia', 'Eastern Asia', 35.86166, 104.195397],
+    ['HK', 'HKG', 'Hong Kong', 'Asia', 'Eastern Asia', 22.396428, 114.109497],
+    ['JP', 'JPN', 'Japan', 'Asia', 'Eastern Asia', 36.204824, 138.252924],
+    ['KP', 'PRK', 'North Korea', 'Asia', 'Eastern Asia', 40.339852, 127.510093],
+    ['KR', 'KOR', 'South Korea', 'Asia', 'Eastern Asia', 35.907757, 127.766922],
+    ['MO', 'MAC', 'Macao', 'Asia', 'Eastern Asia', 22.198745, 113.543873],
+    ['MN', 'MNG', 'Mongolia', 'Asia', 'Eastern Asia', 46.862496, 103.846656],
+    ['TW', 'TWN', 'Taiwan', 'Asia', 'Eastern Asia', 23.69781, 120.960515],
+    ['BN', 'BRN', 'Brunei', 'Asia', 'South-eastern Asia', 4.535277, 114.727669],
+    ['KH', 'KHM', 'Cambodia', 'Asia', 'South-eastern Asia', 12.565679, 104.990963],
+    ['ID', 'IDN', 'Indonesia', 'Asia', 'South-eastern Asia', -0.789275, 113.921327],
+    ['LA', 'LAO', 'Laos', 'Asia', 'South-eastern Asia', 19.85627, 102.495496],
+    ['MY', 'MYS', 'Malaysia', 'Asia', 'South-eastern Asia', 4.210484, 101.975766],
+    ['MM', 'MMR', 'Myanmar', 'Asia', 'South-eastern Asia', 21.913965, 95.956223],
+    ['PH', 'PHL', 'Philippines', 'Asia', 'South-eastern Asia', 12.879721, 121.774017],
+    ['SG', 'SGP', 'Singapore', 'Asia', 'South-eastern Asia', 1.352083, 103.819836],
+    ['TH', 'THA', 'Thailand', 'Asia', 'South-eastern Asia', 15.870032, 100.992541],
+    ['TL', 'TLS', 'Timor-Leste', 'Asia', 'South-eastern Asia', -8.874217, 125.727539],
+    ['VN', 'VNM', 'Vietnam', 'Asia', 'South-eastern Asia', 14.058324, 108.277199],
+    ['AF', 'AFG', 'Afghanistan', 'Asia', 'Southern Asia', 33.93911, 67.709953],
+    ['BD', 'BGD', 'Bangladesh', 'Asia', 'Southern Asia', 23.684994, 90.356331],
+    ['BT', 'BTN', 'Bhutan', 'Asia', 'Southern Asia', 27.514162, 90.433601],
+    ['IN', 'IND', 'India', 'Asia', 'Southern Asia', 20.593684, 78.96288],
+    ['IR', 'IRN', 'Iran', 'Asia', 'Southern Asia', 32.427908, 53.688046],
+    ['MV', 'MDV', 'Maldives', 'Asia', 'Southern Asia', 3.202778, 73.22068],
+    ['NP', 'NPL', 'Nepal', 'Asia', 'Southern Asia', 28.394857, 84.124008],
+    ['PK', 'PAK', 'Pakistan', 'Asia', 'Southern Asia', 30.375321, 69.345116],
+    ['LK', 'LKA', 'Sri Lanka', 'Asia', 'Southern Asia', 7.873054, 80.771797],
+    ['AM', 'ARM', 'Armenia', 'Asia', 'Western Asia', 40.069099, 45.038189],
+    ['AZ', 'AZE', 'Azerbaijan', 'Asia', 'Western Asia', 40.143105, 47.576927],
+    ['BH', 'BHR', 'Bahrain', 'Asia', 'Western Asia', 25.930414, 50.637772],
+    ['CY', 'CYP', 'Cyprus', 'Asia', 'Western Asia', 35.126413, 33.429859],
+    ['GE', 'GEO', 'Georgia', 'Asia', 'Western Asia', 42.315407, 43.356892],
+    ['IQ', 'IRQ', 'Iraq', 'Asia', 'Western Asia', 33.223191, 43.679291],
+    ['IL', 'ISR', 'Israel', 'Asia', 'Western Asia', 31.046051, 34.851612],
+    ['JO', 'JOR', 'Jordan', 'Asia', 'Western Asia', 30.585164, 36.238414],
+    ['KW', 'KWT', 'Kuwait', 'Asia', 'Western Asia', 29.31166, 47.481766],
+    ['LB', 'LBN', 'Lebanon', 'Asia', 'Western Asia', 33.854721, 35.862285],
+    ['OM', 'OMN', 'Oman', 'Asia', 'Western Asia', 21.512583, 55.923255],
+    ['PS', 'PSE', 'Palestine', 'Asia', 'Western Asia', 31.952162, 35.233154],
+    ['QA', 'QAT', 'Qatar', 'Asia', 'Western Asia', 25.354826, 51.183884],
+    ['SA', 'SAU', 'Saudi Arabia', 'Asia', 'Western Asia', 23.885942, 45.079162],
+    ['SY', 'SYR', 'Syria', 'Asia', 'Western Asia', 34.802075, 38.996815],
+    ['TR', 'TUR', 'Turkey', 'Asia', 'Western Asia', 38.963745, 35.243322],
+    ['AE', 'ARE', 'United Arab Emirates', 'Asia', 'Western Asia', 23.424076, 53.847818],
+    ['YE', 'YEM', 'Yemen', 'Asia', 'Western Asia', 15.552727, 48.516388],
+
+    // Europe
+    ['BY', 'BLR', 'Belarus', 'Europe', 'Eastern Europe', 53.709807, 27.953389],
+    ['BG', 'BGR', 'Bulgaria', 'Europe', 'Eastern Europe', 42.733883, 25.48583],
+    ['CZ', 'CZE', 'Czechia', 'Europe', 'Eastern Europe', 49.817492, 15.472962],
+    ['HU', 'HUN', 'Hungary', 'Europe', 'Eastern Europe', 47.162494, 19.503304],
+    ['MD', 'MDA', 'Moldova', 'Europe', 'Eastern Europe', 47.411631, 28.369885],
+    ['PL', 'POL', 'Poland', 'Europe', 'Eastern Europe', 51.919438, 19.145136],
+    ['RO', 'ROU', 'Romania', 'Europe', 'Eastern Europe', 45.943161, 24.96676],
+    ['RU', 'RUS', 'Russia', 'Europe', 'Eastern Europe', 61.52401, 105.318756],
+    ['SK', 'SVK', 'Slovakia', 'Europe', 'Eastern Europe', 48.669026, 19.699024],
+    ['UA', 'UKR', 'Ukraine', 'Europe', 'Eastern Europe', 48.379433, 31.16558],
+    ['DK', 'DNK', 'Denmark', 'Europe', 'Northern Europe', 56.26392, 9.501785],
+    ['EE', 'EST', 'Estonia', 'Europe', 'Northern Europe', 58.595272, 25.013607],
+    ['FO', 'FRO', 'Faroe Islands', 'Europe', 'Northern Europe', 61.892635, -6.911806],
+    ['FI', 'FIN', 'Finland', 'Europe', 'Northern Europe', 61.92411, 25.748151],
+    ['GG', 'GGY', 'Guernsey', 'Europe', 'Northern Europe', 49.465691, -2.585278],
+    ['IS', 'ISL', 'Iceland', 'Europe', 'Northern Europe', 64.963051, -19.020835],
+    ['IE', 'IRL', 'Ireland', 'Europe', 'Northern Europe', 53.41291, -8.24389],
+    ['IM', 'IMN', 'Isle of Man', 'Europe', 'Northern Europe', 54.236107, -4.548056],
+    ['JE', 'JEY', 'Jersey', 'Europe', 'Northern Europe', 49.214439, -2.13125],
+    ['LV', 'LVA', 'Latvia', 'Europe', 'Northern Europe', 56.879635, 24.603189],
+    ['LT', 'LTU', 'Lithuania', 'Europe', 'Northern Europe', 55.169438, 23.881275],
+    ['NO', 'NOR', 'Norway', 'Europe', 'Northern Europe', 60.472024, 8.468946],
+    ['SE', 'SWE', 'Sweden', 'Europe', 'Northern Europe', 60.128161, 18.643501],
+    ['GB', 'GBR', 'United Kingdom', 'Europe', 'Northern Europe', 55.378051, -3.435973],
+    ['AL', 'ALB', 'Albania', 'Europe', 'Southern Europe', 41.153332, 20.168331],
+    ['AD', 'AND', 'Andorra', 'Europe', 'Southern Europe', 42.546245, 1.601554],
+    ['BA', 'BIH', 'Bosnia and Herzegovina', 'Europe', 'Southern Europe', 43.915886, 17.679076],
+    ['HR', 'HRV', 'Croatia', 'Europe', 'Southern Europe', 45.1, 15.2],
+    ['GI', 'GIB', 'Gibraltar', 'Europe', 'Southern Europe', 36.137741, -5.345374],
+    ['GR', 'GRC', 'Greece', 'Europe', 'Southern Europe', 39.074208, 21.824312],
+    ['IT', 'ITA', 'Italy', 'Europe', 'Southern Europe', 41.87194, 12.56738],
+    ['XK', 'XKX', 'Kosovo', 'Europe', 'Southern Europe', 42.602636, 20.902977],
+    ['MT', 'MLT', 'Malta', 'Europe', 'Southern Europe', 35.937496, 14.375416],
+    ['ME', 'MNE', 'Montenegro', 'Europe', 'Southern Europe', 42.708678, 19.37439],
+    ['MK', 'MKD', 'North Macedonia', 'Europe', 'Southern Europe', 41.608635, 21.745275],
+    ['PT', 'PRT', 'Portugal', 'Europe', 'Southern Europe', 39.399872, -8.224454],
+    ['SM', 'SMR', 'San Marino', 'Europe', 'Southern Europe', 43.94236, 12.457777],
+    ['RS', 'SRB', 'Serbia', 'Europe', 'Southern Europe', 44.016521, 21.005859],
+    ['SI', 'SVN', 'Slovenia', 'Europe', 'Southern Europe', 46.151241, 14.995463],
+    ['ES', 'ESP', 'Spain', 'Europe', 'Southern Europe', 40.463667, -3.74922],
+    ['VA', 'VAT', 'Vatican City', 'Europe', 'Southern Europe', 41.902916, 12.453389],
+    ['AT', 'AUT', 'Austria', 'Europe', 'Western Europe', 47.516231, 14.550072],
+    ['BE', 'BEL', 'Belgium', 'Europe', 'Western Europe', 50.503887, 4.469936],
+    ['FR', 'FRA', 'France', 'Europe', 'Western Europe', 46.227638, 2.213749],
+    ['DE', 'DEU', 'Germany', 'Europe', 'Western Europe', 51.165691, 10.451526],
+    ['LI', 'LIE', 'Liechtenstein', 'Europe', 'Western Europe', 47.166, 9.555373],
+    ['LU', 'LUX', 'Luxembourg', 'Europe', 'Western Europe', 49.815273, 6.129583],
+    ['MC', 'MCO', 'Monaco', 'Europe', 'Western Europe', 43.750298, 7.412841],
+    ['NL', 'NLD', 'Netherlands', 'Europe', 'Western Europe', 52.132633, 5.291266],
+    ['CH', 'CHE', 'Switzerland', 'Europe', 'Western Europe', 46.818188, 8.227512],
+
+    // Oceania
+    ['AU', 'AUS', 'Australia', 'Oceania', 'Australia and New Zealand', -25.274398, 133.775136],
+    ['NZ', 'NZL', 'New Zealand', 'Oceania', 'Australia and New Zealand', -40.900557, 174.885971],
+    ['FJ', 'FJI', 'Fiji', 'Oceania', 'Melanesia', -16.578193, 179.414413],
+    ['NC', 'NCL', 'New Caledonia', 'Oceania', 'Melanesia', -20.904305, 165.618042],
+    ['PG', 'PNG', 'Papua New Guinea', 'Oceania', 'Melanesia', -6.314993, 143.95555],
+    ['SB', 'SLB', 'Solomon Islands', 'Oceania', 'Melanesia', -9.64571, 160.156194],
+    ['VU', 'VUT', 'Vanuatu', 'Oceania', 'Melanesia', -15.376706, 166.959158],
+    ['GU', 'GUM', 'Guam', 'Oceania', 'Micronesia', 13.444304, 144.793731],
+    ['KI', 'KIR', 'Kiribati', 'Oceania', 'Micronesia', -3.370417, -168.734039],
+    ['MH', 'MHL', 'Marshall Islands', 'Oceania', 'Micronesia', 7.131474, 171.184478],
+    ['FM', 'FSM', 'Micronesia', 'Oceania', 'Micronesia', 7.425554, 150.550812],
+    ['NR', 'NRU', 'Nauru', 'Oceania', 'Micronesia', -0.522778, 166.931503],
+    ['PW', 'PLW', 'Palau', 'Oceania', 'Micronesia', 7.51498, 134.58252],
+    ['AS', 'ASM', 'American Samoa', 'Oceania', 'Polynesia', -14.270972, -170.132217],
+    ['CK', 'COK', 'Cook Islands', 'Oceania', 'Polynesia', -21.236736, -159.777671],
+    ['PF', 'PYF', 'French Polynesia', 'Oceania', 'Polynesia', -17.679742, -149.406843],
+    ['WS', 'WSM', 'Samoa', 'Oceania', 'Polynesia', -13.759029, -172.104629],
+    ['TO', 'TON', 'Tonga', 'Oceania', 'Polynesia', -21.178986, -175.198242],
+    ['TV', 'TUV', 'Tuvalu', 'Oceania', 'Polynesia', -7.109535, 177.64933]
+];
+
+/**
+ * Alternative names, keyed by alpha-2 code (matched after normalization)
+ */
+const NAME_ALIASES = {
+    'AE': ['UAE', 'Emirates'],
+    'BA': ['Bosnia', 'Bosnia-Herzegovina'],
+    'BN': ['Brunei Darussalam'],
+    'BO': ['Plurinational State of Bolivia'],
+    'BS': ['The Bahamas'],
+    'CD': ['Democratic Republic of the Congo', 'Congo-Kinshasa', 'DRC'],
+    'CG': ['Congo', 'Congo-Brazzaville'],
+    'CI': ['Ivory Coast'],
+    'CV': ['Cape Verde'],
+    'CZ': ['Czech Republic'],
+    'FM': ['Federated States of Micronesia'],
+    'GB': ['UK', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'],
+    'GM': ['The Gambia'],
+    'IR': ['Islamic Republic of Iran'],
+    'KP': ["Democratic People's Republic of Korea", 'DPRK'],
+    'KR': ['Korea', 'Republic of Korea'],
+    'LA': ["Lao People's Democratic Republic", 'Lao PDR'],
+    'MD': ['Republic of Moldova'],
+    'MK': ['Macedonia', 'FYROM'],
+    'MM': ['Burma'],
+    'NL': ['Holland', 'The Netherlands'],
+    'PS': ['State of Palestine', 'Palestinian Territories'],
+    'RU': ['Russian Federation'],
+    'SY': ['Syrian Arab Republic'],
+    'SZ': ['Swaziland'],
+    'TL': ['East Timor'],
+    'TR': ['Türkiye', 'Turkiye'],
+    'TZ': ['United Republic of Tanzania'],
+    'US': ['USA', 'United States of America', 'America', 'US'],
+    'VA': ['Holy See'],
+    'VE': ['Bolivarian Republic of Venezuela'],
+    'VN': ['Viet Nam'],
+    'BR': ['Brasil'],
+    'ES': ['España']
+};
+
+/**
+ * Normalize a name for matching: lowercase, no accents, "&" as "and", no punctuation
+ */
+function normalizeName(name) {
+    return name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Lookup indexes, built once at module load
+const byCode = new Map();
+const byName = new Map();
+
+COUNTRY_TABLE.forEach(([alpha2, alpha3, name, region, subregion, lat, lng]) => {
+    const entry = { code: alpha2, alpha3, name, region, subregion, coordinates: { lat, lng } };
+    byCode.set(alpha2, entry);
+    byCode.set(alpha3, entry);
+    byName.set(normalizeName(name), entry);
+});
+
+Object.entries(NAME_ALIASES).forEach(([alpha2, aliases]) => {
+    aliases.forEach(alias => byName.set(normalizeName(alias), byCode.get(alpha2)));
+});
+
+/**
+ * Get every gazetteer entry
+ */
+export function getAllCountries() {
+    return [...new Set(byCode.values())];
+}
+
+/**
+ * Look up a country by ISO code (alpha-2 or alpha-3) or by name/alias.
+ * Names like "United States of America (USA)" also try the parenthesised part.
+ */
+export function lookupCountry(query) {
+    if (typeof query !== 'string' || query.trim() === '') return null;
+    const trimmed = query.trim();
+
+    const upper = trimmed.toUpperCase();
+    if (/^[A-Z]{2,3}$/.test(upper) && byCode.has(upper)) {
+        return byCode.get(upper);
+    }
+
+    const normalized = normalizeName(trimmed);
+    if (byName.has(normalized)) return byName.get(normalized);
+
+    // "The Gambia" -> "Gambia"
+    const withoutArticle = normalized.replace(/^the /, '');
+    if (byName.has(withoutArticle)) return byName.get(withoutArticle);
+
+    // "United States of America (USA)" -> "United States of America" or "USA"
+    const parenthesised = trimmed.match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+    if (parenthesised) {
+        return lookupCountry(parenthesised[1]) || lookupCountry(parenthesised[2]);
+    }
+
+    // "Korea, Republic of" -> "Republic of Korea"
+    const inverted = trimmed.match(/^([^,]+),\s*(.+)$/);
+    if (inverted) {
+        return lookupCountry(`${inverted[2]} ${inverted[1]}`);
+    }
+
+    return null;
+}
+
+/**
+ * Resolve a dataset row ({ code?, name? }) to its gazetteer entry.
+ * The code wins over the name when both are present.
+ */
+export function resolveCountry(row) {
+    if (!row) return null;
+    return (row.code && lookupCountry(row.code)) || (row.name && lookupCountry(row.name)) || null;
+}
@@ -0,0 +1,360 @@
+/**
+ * Dataset Loader Module
+ * Fetches the headcount dataset (JSON or CSV) and validates its schema
+ *
+ * JSON: { "countries": [{ "code", "name", "count", "coordinates"?, "cities"? }] } or a bare array
+ *       "cities": [{ "name", "count", "coordinates" }] places people within a country
+ *       "segments": [{ "discipline": "...", "team": "...", "count" }] breaks the count down by attribute
+ *       { "snapshots": [{ "date": "2024-03", "countries": [...] }] } for timeline mode
+ * CSV:  header row "name,count" plus optional "code", "lat", "lng" and "date" columns
+ *       (rows sharing a date form one snapshot)
+ *
+ * Rows only need an ISO code or a country name: the gazetteer supplies the
+ * canonical name, region and centroid. Explicit coordinates override the centroid.
+ */
+import { resolveCountry } from './gazetteer.js';
+
+/**
+ * Error raised when the dataset cannot be fetched or is malformed.
+ * `details` lists every problem found so the error state can show them all.
+ */
+export class DatasetError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'DatasetError';
+        this.details = details;
+    }
+}
+
+/**
+ * Split a CSV line into fields (supports double-quoted fields)
+ */
+export function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Parse CSV text into raw rows (same shape as the JSON records)
+ */
+export function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+        throw new DatasetError('Dataset CSV is empty');
+    }
+
+    const header = splitCsvLine(lines[0]).map(column => column.toLowerCase());
+    const missing = ['count'].filter(column => !header.includes(column));
+    if (!header.includes('name') && !header.includes('code')) missing.push('name or code');
+    if (missing.length > 0) {
+        throw new DatasetError(`Dataset CSV is missing columns: ${missing.join(', ')}`);
+    }
+
+    const toNumber = (value) => value === undefined || value === '' ? NaN : Number(value);
+
+    return lines.slice(1).map(line => {
+        const values = splitCsvLine(line);
+        const row = {};
+        header.forEach((column, i) => { row[column] = values[i]; });
+        
+        const record = { name: row.name || undefined, code: row.code || undefined, count: toNumber(row.count) };
+        if (row.date) record.date = row.date;
+        if (row.lat || row.lng) {
+            record.coordinates = { lat: toNumber(row.lat), lng: toNumber(row.lng) };
+        }
+        return record;
+    });
+}
+
+/**
+ * Validate the optional city-level locations of a country row.
+ * Cities may not add up to more than the country count; the rest stays unassigned.
+ */
+function validateCities(cities, label, countryCount) {
+    if (!Array.isArray(cities)) {
+        return [`${label}: cities must be a list`];
+    }
+
+    const errors = [];
+    const names = new Set();
+    cities.forEach((city, index) => {
+        const cityLabel = city && typeof city.name === 'string' && city.name.trim() ? `${label} / "${city.name}"` : `${label} / city ${index + 1}`;
+        if (!city || typeof city.name !== 'string' || city.name.trim() === '') {
+            errors.push(`${cityLabel}: missing city name`);
+        } else if (names.has(city.name.trim())) {
+            errors.push(`${cityLabel}: duplicate city`);
+        } else {
+            names.add(city.name.trim());
+        }
+        if (!city || !Number.isInteger(city.count) || city.count < 0) {
+            errors.push(`${cityLabel}: count must be a non-negative integer`);
+        }
+        const coords = city && city.coordinates;
+        if (!coords || !Number.isFinite(coords.lat) || !Number.isFinite(coords.lng) ||
+            Math.abs(coords.lat) > 90 || Math.abs(coords.lng) > 180) {
+            errors.push(`${cityLabel}: coordinates must have lat (-90..90) and lng (-180..180)`);
+        }
+    });
+
+    const total = cities.reduce((sum, city) => sum + (city && Number.isInteger(city.count) ? city.count : 0), 0);
+    if (errors.length === 0 && Number.isInteger(countryCount) && total > countryCount) {
+        errors.push(`${label}: cities add up to ${total}, more than the country count ${countryCount}`);
+    }
+    return errors;
+}
+
+/**
+ * Validate the optional attribute breakdown of a country row.
+ * Every key other than count is an attribute with a text value.
+ */
+function validateSegments(segments, label, countryCount) {
+    if (!Array.isArray(segments)) {
+        return [`${label}: segments must be a list`];
+    }
+
+    const errors = [];
+    segments.forEach((segment, index) => {
+        const segmentLabel = `${label} / segment ${index + 1}`;
+        if (!segment || typeof segment !== 'object') {
+            errors.push(`${segmentLabel}: not an object`);
+            return;
+        }
+        if (!Number.isInteger(segment.count) || segment.count < 0) {
+            errors.push(`${segmentLabel}: count must be a non-negative integer`);
+        }
+        const attributes = Object.keys(segment).filter(key => key !== 'count');
+        if (attributes.length === 0) {
+            errors.push(`${segmentLabel}: needs at least one attribute (e.g. discipline)`);
+        }
+        attributes.filter(key => typeof segment[key] !== 'string' || segment[key].trim() === '')
+            .forEach(key => errors.push(`${segmentLabel}: ${key} must be a non-empty string`));
+    });
+
+    const total = segments.reduce((sum, segment) => sum + (segment && Number.isInteger(segment.count) ? segment.count : 0), 0);
+    if (errors.length === 0 && Number.isInteger(countryCount) && total > countryCount) {
+        errors.push(`${label}: segments add up to ${total}, more than the country count ${countryCount}`);
+    }
+    return errors;
+}
+
+/**
+ * Validate raw rows, resolve them through the gazetteer and return clean country records
+ */
+export function validateCountryData(rows) {
+    if (!Array.isArray(rows)) {
+        throw new DatasetError('Dataset must contain a list of countries');
+    }
+
+    const errors = [];
+    const records = [];
+    const seen = new Set();
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+    rows.forEach((row, index) => {
+        if (!row || typeof row !== 'object') {
+            errors.push(`Row ${index + 1}: not an object`);
+            return;
+        }
+
+        const label = isText(row.name) ? `"${row.name}"` : isText(row.code) ? `"${row.code}"` : `Row ${index + 1}`;
+        const rowErrors = [];
+
+        if (!isText(row.name) && !isText(row.code)) {
+            rowErrors.push(`${label}: missing country name or code`);
+        }
+        if (!Number.isInteger(row.count) || row.count < 0) {
+            rowErrors.push(`${label}: count must be a non-negative integer`);
+        }
+
+        const coords = row.coordinates;
+        if (coords !== undefined) {
+            if (!coords || !isNumber(coords.lat) || !isNumber(coords.lng)) {
+                rowErrors.push(`${label}: coordinates must have numeric lat and lng`);
+            } else if (Math.abs(coords.lat) > 90 || Math.abs(coords.lng) > 180) {
+                rowErrors.push(`${label}: coordinates out of range (${coords.lat}, ${coords.lng})`);
+            }
+        }
+
+        if (row.cities !== undefined) {
+            rowErrors.push(...validateCities(row.cities, label, row.count));
+        }
+        if (row.segments !== undefined) {
+            rowErrors.push(...validateSegments(row.segments, label, row.count));
+        }
+
+        const entry = resolveCountry(row);
+        if (!entry && coords === undefined && rowErrors.length === 0) {
+            rowErrors.push(`${label}: unknown country - use an ISO code or add coordinates`);
+        } else if (!entry && rowErrors.length === 0) {
+            console.warn(`Dataset: ${label} is not in the gazetteer, using its own coordinates`);
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors);
+            return;
+        }
+
+        const name = entry ? entry.name : (isText(row.name) ? row.name : row.code).trim();
+        if (seen.has(name)) {
+            errors.push(`${label}: duplicate country (${name})`);
+            return;
+        }
+        seen.add(name);
+
+        const record = {
+            name,
+            code: entry ? entry.code : null,
+            region: entry ? entry.region : null,
+            subregion: entry ? entry.subregion : null,
+            count: row.count,
+            coordinates: coords ? { lat: coords.lat, lng: coords.lng } : { ...entry.coordinates }
+        };
+        if (row.cities && row.cities.length > 0) {
+            record.cities = row.cities.map(city => ({
+                name: city.name.trim(),
+                count: city.count,
+                coordinates: { lat: city.coordinates.lat, lng: city.coordinates.lng }
+            }));
+        }
+        if (row.segments && row.segments.length > 0) {
+            record.segments = row.segments.map(segment => ({ ...segment }));
+        }
+        records.push(record);
+    });
+
+    if (errors.length > 0) {
+        throw new DatasetError(`Dataset has ${errors.length} invalid entr${errors.length === 1 ? 'y' : 'ies'}`, errors);
+    }
+    if (records.length === 0) {
+        throw new DatasetError('Dataset contains no countries');
+    }
+
+    return records;
+}
+
+/**
+ * Validate dated snapshots and return them sorted by date (ISO-like strings sort lexically)
+ */
+export function validateSnapshots(snapshots) {
+    if (!Array.isArray(snapshots) || snapshots.length === 0) {
+        throw new DatasetError('Dataset "snapshots" must be a non-empty list');
+    }
+
+    const errors = [];
+    const dates = new Set();
+    const validated = [];
+
+    snapshots.forEach((snapshot, index) => {
+        const date = snapshot && typeof snapshot.date === 'string' ? snapshot.date.trim() : '';
+        if (!date) {
+            errors.push(`Snapshot ${index + 1}: missing date`);
+            return;
+        }
+        if (dates.has(date)) {
+            errors.push(`Snapshot ${date}: duplicate date`);
+            return;
+        }
+        dates.add(date);
+
+        try {
+            validated.push({ date, countries: validateCountryData(snapshot.countries) });
+        } catch (e) {
+            errors.push(...(e.details && e.details.length ? e.details : [e.message]).map(detail => `Snapshot ${date}: ${detail}`));
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new DatasetError(`Dataset has ${errors.length} invalid entr${errors.length === 1 ? 'y' : 'ies'}`, errors);
+    }
+
+    return validated.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Group dated CSV rows into snapshots ({ date, countries })
+ */
+function groupRowsByDate(rows) {
+    const byDate = new Map();
+    rows.forEach(row => {
+        if (!byDate.has(row.date)) byDate.set(row.date, []);
+        const { date, ...country } = row;
+        byDate.get(row.date).push(country);
+    });
+    return [...byDate.entries()].map(([date, countries]) => ({ date, countries }));
+}
+
+/**
+ * Fetch, parse and validate the dataset file
+ * Returns { countries, snapshots }: countries is the current (latest) headcount,
+ * snapshots is empty unless the file carries dated snapshots.
+ */
+export async function loadDataset(url) {
+    let response;
+    try {
+        response = await fetch(url, { cache: 'no-cache' });
+    } catch (e) {
+        throw new DatasetError(`Could not fetch dataset "${url}": ${e.message}`);
+    }
+    if (!response.ok) {
+        throw new DatasetError(`Could not fetch dataset "${url}" (HTTP ${response.status})`);
+    }
+
+    const text = await response.text();
+    const isCsv = /\.csv(\?|$)/i.test(url) || (response.headers.get('content-type') || '').includes('text/csv');
+
+    let rows;
+    let snapshots = null;
+    if (isCsv) {
+        rows = parseCsv(text);
+        if (rows.some(row => row.date)) {
+            snapshots = groupRowsByDate(rows);
+        }
+    } else {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            throw new DatasetError(`Dataset "${url}" is not valid JSON: ${e.message}`);
+        }
+        rows = Array.isArray(json) ? json : json && json.countries;
+        if (json && !Array.isArray(json) && json.snapshots !== undefined) {
+            snapshots = json.snapshots;
+        }
+    }
+
+    if (snapshots) {
+        const validated = validateSnapshots(snapshots);
+        const latest = validated[validated.length - 1];
+        console.log(`Loaded dataset "${url}": ${validated.length} snapshots, latest ${latest.date} with ${latest.countries.length} countries`);
+        return { countries: latest.countries, snapshots: validated };
+    }
+
+    const countries = validateCountryData(rows);
+    console.log(`Loaded dataset "${url}": ${countries.length} countries`);
+    return { countries, snapshots: [] };
+}
@@ -0,0 +1,142 @@
+/**
+ * Privacy Module
+ * Small-headcount protection for public or client-facing showings.
+ * With settings.privacy.enabled, countries with fewer than minCount (k) people
+ * never show their exact count; depending on the mode their point is also
+ * merged into a regional bucket or moved away from its exact location.
+ *
+ * Modes:
+ *   mask      - count shown as "<k"
+ *   aggregate - small countries merged into one "Other <subregion>" point
+ *   jitter    - count shown as "<k" and the point offset by up to jitterKm
+ */
+import { settings } from '../settings.js';
+import { hashSeed } from '../globe/random.js';
+import { getCentroid, normalizeLng } from '../globe/routing.js';
+
+/**
+ * Check whether privacy mode is on
+ */
+export function isPrivacyEnabled() {
+    return Boolean(settings.privacy && settings.privacy.enabled);
+}
+
+/**
+ * Get the minimum count (k) that may be shown exactly
+ */
+export function getPrivacyThreshold() {
+    return settings.privacy.minCount;
+}
+
+/**
+ * Check whether a count must be hidden
+ */
+export function isBelowThreshold(count) {
+    return isPrivacyEnabled() && count > 0 && count < getPrivacyThreshold();
+}
+
+/**
+ * Format a record's count for display ("<k" when masked)
+ */
+export function formatCount(record) {
+    return record.masked ? `<${getPrivacyThreshold()}` : String(record.count);
+}
+
+/**
+ * Format a total for display (a total below k would reveal the countries behind it)
+ */
+export function formatTotal(total) {
+    return isBelowThreshold(total) ? `<${getPrivacyThreshold()}` : String(total);
+}
+
+/**
+ * Check whether a category must be hidden because it singles out small counts
+ * (e.g. lone wolves: maxCount 1)
+ */
+export function isCategoryHidden(category) {
+    const rules = category.rules || {};
+    return isPrivacyEnabled() && rules.maxCount !== undefined && rules.maxCount < getPrivacyThreshold();
+}
+
+/**
+ * Flag records whose count is below k (used by lists, tooltips and overlays)
+ */
+export function maskCountryData(countryData) {
+    if (!isPrivacyEnabled()) return countryData;
+    return countryData.map(country => ({ ...country, masked: isBelowThreshold(country.count) }));
+}
+
+/**
+ * Stable pseudo-random value in [0, 1) derived from a string
+ */
+function hashToUnit(text, salt) {
+    return hashSeed(`${salt}:${text}`) / 4294967296;
+}
+
+/**
+ * Offset coordinates by a stable random distance (up to maxKm) and bearing
+ */
+function jitterCoordinates(name, coordinates, maxKm) {
+    const distanceKm = maxKm * (0.5 + 0.5 * hashToUnit(name, 'distance'));
+    const bearing = 2 * Math.PI * hashToUnit(name, 'bearing');
+    const dLat = (distanceKm / 111.32) * Math.cos(bearing);
+    const dLng = (distanceKm / (111.32 * Math.max(Math.cos(coordinates.lat * Math.PI / 180), 0.01))) * Math.sin(bearing);
+
+    return {
+        lat: Math.max(-89.9, Math.min(89.9, coordinates.lat + dLat)),
+        lng: normalizeLng(coordinates.lng + dLng)
+    };
+}
+
+/**
+ * Merge masked countries into regional buckets
+ */
+function aggregateSmallCountries(countryData) {
+    const buckets = new Map();
+    const result = [];
+
+    countryData.forEach(country => {
+        if (!country.masked) {
+            result.push(country);
+            return;
+        }
+        const regionName = country.subregion || country.region || 'the world';
+        if (!buckets.has(regionName)) buckets.set(regionName, []);
+        buckets.get(regionName).push(country);
+    });
+
+    buckets.forEach((members, regionName) => {
+        const count = members.reduce((sum, country) => sum + country.count, 0);
+        result.push({
+            name: `Other ${regionName}`,
+            count,
+            totalCount: members.reduce((sum, country) => sum + (country.totalCount ?? country.count), 0),
+            region: members[0].region,
+            subregion: members[0].subregion,
+            coordinates: getCentroid(members.map(country => country.coordinates)),
+            members: members.map(country => country.name),
+            isBucket: true,
+            masked: isBelowThreshold(count)
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Turn (masked) country records into the records drawn on the globe
+ */
+export function toPrivatePoints(countryData) {
+    if (!isPrivacyEnabled()) return countryData;
+
+    switch (settings.privacy.mode) {
+        case 'aggregate':
+            return aggregateSmallCountries(countryData);
+        case 'jitter':
+            return countryData.map(country => country.masked
+                ? { ...country, coordinates: jitterCoordinates(country.name, country.coordinates, settings.privacy.jitterKm), cities: undefined }
+                : country);
+        default:
+            return countryData.map(country => country.masked ? { ...country, cities: undefined } : country);
+    }
+}
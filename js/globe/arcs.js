@@ -0,0 +1,148 @@
+/**
+ * Arc Reconciliation Module
+ * Keeps one arc object per stable connection ID so that updating the arcs only
+ * animates what changed: new arcs fade in, removed arcs fade out, unchanged
+ * arcs keep their object (and with it their dash phase and color).
+ *
+ * globe.gl binds each arc mesh to its data object; a fresh array of fresh
+ * objects would rebuild every mesh and restart every dash animation.
+ */
+
+// Arc objects keyed by connection ID (including arcs still fading out)
+const arcCache = new Map();
+
+// Fade animation frame (one loop for every fading arc)
+let fadeFrame = null;
+
+/**
+ * Stable ID of a connection: its direction, plus the edge type for real edges
+ */
+export function getConnectionId(connection) {
+    const id = `${connection.startCountry}→${connection.endCountry}`;
+    return connection.isEdge ? `edge:${id}:${connection.metadata.type || ''}` : id;
+}
+
+/**
+ * Get the arc object for a connection, creating it when the ID is new
+ */
+function getArcObject(connection, initialFade) {
+    const id = getConnectionId(connection);
+    const existing = arcCache.get(id);
+    if (existing) {
+        return Object.assign(existing, connection, { exiting: false });
+    }
+
+    const arc = Object.assign({}, connection, {
+        id,
+        dashInitialGap: Math.random(), // fixed per arc so re-digests don't move the dashes
+        fade: initialFade,
+        exiting: false
+    });
+    arcCache.set(id, arc);
+    return arc;
+}
+
+/**
+ * Register connections without animating them (loading sequence).
+ * Returns the arc objects to hand to the globe.
+ */
+export function prepareArcs(connections) {
+    arcCache.clear();
+    return connections.map(connection => getArcObject(connection, 1));
+}
+
+/**
+ * Reconcile the globe's arcs with a new set of connections
+ */
+export function updateArcs(globe, connections, fadeDuration = 800) {
+    const nextIds = new Set();
+    connections.forEach(connection => {
+        getArcObject(connection, 0);
+        nextIds.add(getConnectionId(connection));
+    });
+
+    let added = 0;
+    let removed = 0;
+    arcCache.forEach((arc, id) => {
+        if (!nextIds.has(id)) {
+            if (!arc.exiting) removed++;
+            arc.exiting = true;
+        } else if (arc.fade < 1) {
+            added++;
+        }
+    });
+
+    globe.arcsData([...arcCache.values()]);
+    console.log(`Arcs reconciled: ${nextIds.size} arcs, ${added} fading in, ${removed} fading out`);
+
+    if (added > 0 || removed > 0) animateArcFades(globe, fadeDuration);
+    return [...nextIds].map(id => arcCache.get(id));
+}
+
+/**
+ * Fade arcs toward their target (exiting -> 0, others -> 1), then drop the exited ones
+ */
+function animateArcFades(globe, fadeDuration) {
+    if (fadeFrame) cancelAnimationFrame(fadeFrame);
+    let lastTime = performance.now();
+
+    function step(now) {
+        const delta = (now - lastTime) / fadeDuration;
+        lastTime = now;
+
+        let fading = false;
+        arcCache.forEach(arc => {
+            const target = arc.exiting ? 0 : 1;
+            arc.fade = target > arc.fade ? Math.min(target, arc.fade + delta) : Math.max(target, arc.fade - delta);
+            if (arc.fade !== target) fading = true;
+        });
+
+        // Re-setting the accessor recolors the arcs without rebuilding them
+        globe.arcColor(globe.arcColor());
+
+        if (fading) {
+            fadeFrame = requestAnimationFrame(step);
+            return;
+        }
+
+        fadeFrame = null;
+        arcCache.forEach((arc, id) => {
+            if (arc.exiting) arcCache.delete(id);
+        });
+        globe.arcsData([...arcCache.values()]);
+    }
+
+    fadeFrame = requestAnimationFrame(step);
+}
+
+// Bundled paths keyed by connection ID (edge bundling mode)
+const pathCache = new Map();
+
+/**
+ * Draw bundled paths (see bundling.js) in place of the arcs. The arcs fade out;
+ * a path keeps its object per connection ID so globe.gl morphs it into its new
+ * shape instead of redrawing it.
+ */
+export function showBundledPaths(globe, paths) {
+    updateArcs(globe, []);
+
+    const nextPaths = paths.map(path => {
+        const existing = pathCache.get(path.id);
+        if (existing) return Object.assign(existing, path);
+        return Object.assign(path, { dashInitialGap: Math.random() });
+    });
+    pathCache.clear();
+    nextPaths.forEach(path => pathCache.set(path.id, path));
+
+    globe.pathsData(nextPaths);
+    console.log(`Bundled paths: ${nextPaths.length}`);
+}
+
+/**
+ * Remove the bundled paths (back to plain arcs)
+ */
+export function clearBundledPaths(globe) {
+    if (pathCache.size === 0) return;
+    pathCache.clear();
+    globe.pathsData([]);
+}
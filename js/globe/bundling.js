@@ -0,0 +1,347 @@
+/**
+ * Edge Bundling Module
+ * Force-directed edge bundling (Holten & van Wijk) on the sphere. Every
+ * connection becomes a polyline along its great circle; compatible connections
+ * (similar direction, length and position) pull their points toward each other
+ * while springs keep each line smooth, so dense arc sets collapse into shared
+ * corridors. Points are kept on the unit sphere after every step.
+ *
+ * The result is drawn with globe.gl's paths layer instead of the arcs layer.
+ * bundleConnectionsAsync runs it in a Web Worker and caches the result per
+ * connection set, so redrawing the same arcs does not bundle them again.
+ */
+import { settings } from '../settings.js';
+import { toUnitVector, getArcAltitude } from './routing.js';
+import { getConnectionId } from './arcs.js';
+
+// Spring stiffness along each line (higher = smoother, less bundled lines)
+const SPRING_CONSTANT = 1;
+
+// Pull back toward the great circle that remains at full strength (limits detours)
+const MIN_ANCHOR = 0.25;
+
+// Fraction of the combined force applied per iteration (small enough to stay stable)
+const STEP = 0.3;
+
+// Subdivision cycles: points per line double every cycle, iterations shrink
+const CYCLES = 5;
+const INITIAL_ITERATIONS = 30;
+
+// Bundling strength picked in the UI (0 = plain arcs)
+let bundlingStrength = settings.bundling.strength;
+
+// Bundled points by connection ID, per connection set and options (most recent last)
+const bundleCache = new Map();
+const BUNDLE_CACHE_SIZE = 8;
+
+// Bundling worker, started on first use (false once it failed)
+let bundlingWorker = null;
+let bundlingRequestId = 0;
+const pendingBundlings = new Map();
+
+/**
+ * Get the bundling strength (0..1)
+ */
+export function getBundlingStrength() {
+    return bundlingStrength;
+}
+
+/**
+ * Set the bundling strength (0 = plain arcs)
+ */
+export function setBundlingStrength(strength) {
+    bundlingStrength = strength;
+}
+
+/**
+ * Check whether a connection set gets bundled: bundling is on and the set is small
+ * enough (compatibility is checked for every pair of connections)
+ */
+export function shouldBundle(connections) {
+    if (bundlingStrength <= 0) return false;
+    if (connections.length > settings.bundling.maxEdges) {
+        console.warn(`Edge bundling skipped: ${connections.length} connections (max ${settings.bundling.maxEdges})`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Vector helpers on [x, y, z] arrays
+ */
+const subtract = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const length = (a) => Math.hypot(a[0], a[1], a[2]);
+const normalize = (a) => {
+    const size = length(a) || 1;
+    return [a[0] / size, a[1] / size, a[2] / size];
+};
+
+/**
+ * Spherical interpolation between two unit vectors (t = 0 -> a, t = 1 -> b)
+ */
+function slerp(a, b, t) {
+    const dot = Math.min(1, Math.max(-1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2]));
+    const omega = Math.acos(dot);
+    if (omega < 1e-6) return a.slice();
+    const sinOmega = Math.sin(omega);
+    const wa = Math.sin((1 - t) * omega) / sinOmega;
+    const wb = Math.sin(t * omega) / sinOmega;
+    return [a[0] * wa + b[0] * wb, a[1] * wa + b[1] * wb, a[2] * wa + b[2] * wb];
+}
+
+/**
+ * Compatibility of two lines (0..1): angle, scale and position compatibility
+ * multiplied. Lines running in opposite directions are compatible too (flipped).
+ */
+function getCompatibility(line, other) {
+    const dot = line.vector[0] * other.vector[0] + line.vector[1] * other.vector[1] + line.vector[2] * other.vector[2];
+    const angle = Math.abs(dot) / (line.length * other.length || 1);
+
+    const average = (line.length + other.length) / 2;
+    const scale = 2 / (average / Math.min(line.length, other.length) + Math.max(line.length, other.length) / average);
+
+    const position = average / (average + length(subtract(line.midpoint, other.midpoint)));
+
+    return { value: angle * scale * position, flipped: dot < 0 };
+}
+
+/**
+ * Resample a polyline to `count` inner points (the endpoints are fixed)
+ */
+function subdivide(points, start, end, count) {
+    const polyline = [start, ...points, end];
+    const segments = polyline.slice(1).map((point, i) => length(subtract(point, polyline[i])));
+    const total = segments.reduce((sum, segment) => sum + segment, 0);
+    const step = total / (count + 1);
+
+    const result = [];
+    let segment = 0;
+    let travelled = 0;
+    for (let i = 1; i <= count; i++) {
+        const target = step * i;
+        while (segment < segments.length - 1 && travelled + segments[segment] < target) {
+            travelled += segments[segment];
+            segment++;
+        }
+        const t = segments[segment] > 0 ? (target - travelled) / segments[segment] : 0;
+        result.push(normalize(slerp(polyline[segment], polyline[segment + 1], Math.min(1, t))));
+    }
+    return result;
+}
+
+/**
+ * Turn a unit vector into [lat, lng], unwrapping lng to stay close to the previous point
+ */
+function toLatLng(vector, previousLng) {
+    const lat = Math.asin(Math.max(-1, Math.min(1, vector[2]))) * 180 / Math.PI;
+    let lng = Math.atan2(vector[1], vector[0]) * 180 / Math.PI;
+    if (previousLng !== null) {
+        while (lng - previousLng > 180) lng -= 360;
+        while (lng - previousLng < -180) lng += 360;
+    }
+    return [lat, lng];
+}
+
+/**
+ * Bundle connections into paths.
+ *
+ * options: { strength (0..1), subdivisions, compatibilityThreshold }, defaults from settings.bundling
+ * Returns [{ id, connection, points: [[lat, lng, altitude], ...] }]
+ */
+export function bundleConnections(connections, options = {}) {
+    const {
+        strength = bundlingStrength,
+        subdivisions = settings.bundling.subdivisions,
+        compatibilityThreshold = settings.bundling.compatibilityThreshold
+    } = options;
+
+    const lines = connections.map(connection => {
+        const start = toUnitVector(connection.startLat, connection.startLng);
+        const end = toUnitVector(connection.endLat, connection.endLng);
+        const vector = subtract(end, start);
+        return {
+            connection,
+            start,
+            end,
+            vector,
+            length: length(vector),
+            midpoint: normalize(slerp(start, end, 0.5)),
+            points: [normalize(slerp(start, end, 0.5))],
+            compatible: []
+        };
+    });
+
+    // Compatible pairs are found once; only they attract each other
+    lines.forEach((line, i) => {
+        for (let j = i + 1; j < lines.length; j++) {
+            const { value, flipped } = getCompatibility(line, lines[j]);
+            if (value < compatibilityThreshold) continue;
+            line.compatible.push({ line: lines[j], weight: value, flipped });
+            lines[j].compatible.push({ line, weight: value, flipped });
+        }
+    });
+
+    lines.forEach(line => {
+        line.totalWeight = line.compatible.reduce((sum, { weight }) => sum + weight, 0);
+    });
+
+    let pointCount = 1;
+    let iterations = INITIAL_ITERATIONS;
+    for (let cycle = 0; cycle < CYCLES && strength > 0; cycle++) {
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const moved = lines.map(line => line.points.map((point, i) => {
+                // Spring: pull toward the middle of the neighboring points (keeps the line smooth)
+                const previous = i === 0 ? line.start : line.points[i - 1];
+                const next = i === pointCount - 1 ? line.end : line.points[i + 1];
+                // Anchor: pull back toward the great circle, weaker the higher the strength
+                const origin = slerp(line.start, line.end, (i + 1) / (pointCount + 1));
+                const force = [0, 1, 2].map(axis =>
+                    SPRING_CONSTANT * ((previous[axis] + next[axis]) / 2 - point[axis]) +
+                    (1 - strength + MIN_ANCHOR) * (origin[axis] - point[axis])
+                );
+
+                // Attraction toward the matching points of the compatible lines, weighted by compatibility
+                if (line.totalWeight > 0) {
+                    line.compatible.forEach(({ line: other, weight, flipped }) => {
+                        const target = other.points[flipped ? pointCount - 1 - i : i];
+                        for (let axis = 0; axis < 3; axis++) {
+                            force[axis] += strength * weight * (target[axis] - point[axis]) / line.totalWeight;
+                        }
+                    });
+                }
+
+                return normalize([0, 1, 2].map(axis => point[axis] + STEP * force[axis]));
+            }));
+            lines.forEach((line, i) => { line.points = moved[i]; });
+        }
+
+        if (cycle < CYCLES - 1) {
+            pointCount = Math.min(pointCount * 2, subdivisions);
+            lines.forEach(line => { line.points = subdivide(line.points, line.start, line.end, pointCount); });
+            iterations = Math.max(1, Math.round(iterations * 2 / 3));
+        }
+    }
+
+    // Smooth out the last cycle, then lift the paths like arcs of the same length
+    return lines.map(line => {
+        const polyline = [line.start, ...subdivide(line.points, line.start, line.end, subdivisions), line.end];
+        const altitude = getArcAltitude(line.connection.angle ?? Math.acos(1 - line.length * line.length / 2));
+        let previousLng = null;
+        const points = polyline.map((vector, i) => {
+            const [lat, lng] = toLatLng(vector, previousLng);
+            previousLng = lng;
+            return [lat, lng, altitude * Math.sin(Math.PI * i / (polyline.length - 1))];
+        });
+        const id = getConnectionId(line.connection);
+        return { id, connection: Object.assign({}, line.connection, { id }), points };
+    });
+}
+
+/**
+ * Key of a connection set and the options it is bundled with: the same arcs
+ * between the same positions give the same paths, whatever their order
+ */
+function getBundleKey(connections, options) {
+    const ids = connections.map(connection =>
+        `${getConnectionId(connection)}@${connection.startLat},${connection.startLng},${connection.endLat},${connection.endLng}`
+    );
+    return `${options.strength}|${options.subdivisions}|${options.compatibilityThreshold}|${ids.sort().join('|')}`;
+}
+
+/**
+ * Get the bundling worker (null when workers are unavailable)
+ */
+function getBundlingWorker() {
+    if (bundlingWorker !== null) return bundlingWorker || null;
+    if (typeof Worker === 'undefined') return null;
+    try {
+        bundlingWorker = new Worker(new URL('./bundlingWorker.js', import.meta.url), { type: 'module' });
+        bundlingWorker.onmessage = ({ data }) => {
+            const pending = pendingBundlings.get(data.id);
+            pendingBundlings.delete(data.id);
+            if (pending) pending.resolve(data.points);
+        };
+        bundlingWorker.onerror = (event) => {
+            console.warn('Bundling worker failed, bundling on the main thread:', event.message);
+            pendingBundlings.forEach(pending => pending.reject(new Error(event.message)));
+            pendingBundlings.clear();
+            bundlingWorker.terminate();
+            bundlingWorker = false;
+        };
+    } catch (e) {
+        console.warn('Could not start the bundling worker:', e);
+        bundlingWorker = false;
+    }
+    return bundlingWorker || null;
+}
+
+/**
+ * Bundle on the main thread: bundled points by connection ID
+ */
+function bundleOnMainThread(connections, options) {
+    const points = {};
+    bundleConnections(connections, options).forEach(path => {
+        points[path.id] = path.points;
+    });
+    return points;
+}
+
+/**
+ * Bundled points by connection ID, from the worker when there is one
+ */
+async function computeBundledPoints(connections, options) {
+    const worker = getBundlingWorker();
+    if (!worker) return bundleOnMainThread(connections, options);
+
+    // Only what the geometry and the IDs need crosses to the worker
+    const lines = connections.map(connection => ({
+        startLat: connection.startLat,
+        startLng: connection.startLng,
+        endLat: connection.endLat,
+        endLng: connection.endLng,
+        angle: connection.angle,
+        startCountry: connection.startCountry,
+        endCountry: connection.endCountry,
+        isEdge: connection.isEdge,
+        metadata: connection.isEdge ? { type: connection.metadata.type } : undefined
+    }));
+    const id = ++bundlingRequestId;
+    try {
+        return await new Promise((resolve, reject) => {
+            pendingBundlings.set(id, { resolve, reject });
+            worker.postMessage({ id, connections: lines, options });
+        });
+    } catch (e) {
+        return bundleOnMainThread(connections, options);
+    }
+}
+
+/**
+ * Bundle connections off the main thread, reusing the result for a connection
+ * set that was already bundled with the same options. Resolves to the same
+ * paths as bundleConnections.
+ */
+export async function bundleConnectionsAsync(connections) {
+    const options = {
+        strength: bundlingStrength,
+        subdivisions: settings.bundling.subdivisions,
+        compatibilityThreshold: settings.bundling.compatibilityThreshold
+    };
+    const key = getBundleKey(connections, options);
+
+    let points = bundleCache.get(key);
+    if (points) {
+        bundleCache.delete(key);
+    } else {
+        points = await computeBundledPoints(connections, options);
+    }
+    bundleCache.set(key, points);
+    if (bundleCache.size > BUNDLE_CACHE_SIZE) bundleCache.delete(bundleCache.keys().next().value);
+
+    // Paths carry the current connection objects (counts may have changed since)
+    return connections.map(connection => {
+        const id = getConnectionId(connection);
+        return { id, connection: Object.assign({}, connection, { id }), points: points[id] };
+    });
+}
+
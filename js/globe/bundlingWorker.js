@@ -0,0 +1,14 @@
+/**
+ * Bundling Worker
+ * Runs bundleConnections off the main thread (the compatibility pass is O(n²))
+ * Message in: { id, connections, options }  -  message out: { id, points: { [connectionId]: points } }
+ */
+import { bundleConnections } from './bundling.js';
+
+self.onmessage = ({ data }) => {
+    const points = {};
+    bundleConnections(data.connections, data.options).forEach(path => {
+        points[path.id] = path.points;
+    });
+    self.postMessage({ id: data.id, points });
+};
@@ -0,0 +1,39 @@
+/**
+ * Choropleth Module
+ * Alternative to the point cylinders: each country polygon is filled by its
+ * headcount through the point color scale. Countries without a polygon (too
+ * small for the bundled boundaries) and privacy-protected records (regional
+ * buckets, jittered or masked counts) stay points, so a polygon never gives
+ * away what privacy mode hides.
+ */
+import { boundaryData } from '../data/boundaries.js';
+
+// Polygon objects by country name (reused so globe.gl updates them in place)
+const polygonCache = new Map();
+
+/**
+ * Check whether a country point is drawn as a polygon in the choropleth view
+ */
+function hasPolygon(point) {
+    return !point.masked && !point.isBucket && boundaryData.has(point.name);
+}
+
+/**
+ * Split country points into polygons and the points that stay points
+ * Returns { points, polygons }; polygons are { geometry, country }
+ */
+export function splitChoroplethPoints(countryPoints) {
+    const points = [];
+    const polygons = [];
+    countryPoints.forEach(point => {
+        if (!hasPolygon(point)) {
+            points.push(point);
+            return;
+        }
+        if (!polygonCache.has(point.name)) {
+            polygonCache.set(point.name, { geometry: boundaryData.get(point.name) });
+        }
+        polygons.push(Object.assign(polygonCache.get(point.name), { country: point }));
+    });
+    return { points, polygons };
+}
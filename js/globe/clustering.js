@@ -0,0 +1,85 @@
+/**
+ * Location Clustering Module
+ * Countries with city-level locations are drawn as one point when zoomed out
+ * and split into their city points as the camera altitude drops
+ */
+import { settings } from '../settings.js';
+
+// Whether city points are currently shown instead of their country point
+let citiesExpanded = false;
+
+// City point objects keyed by "country/city", reused so globe.gl can tween them
+const cityPointCache = new Map();
+
+/**
+ * Check whether city points are currently shown
+ */
+export function areCitiesExpanded() {
+    return citiesExpanded;
+}
+
+/**
+ * Update the expanded state from the camera altitude.
+ * Uses two thresholds (hysteresis) so small zoom changes near the limit don't flicker.
+ * Returns true when the state changed.
+ */
+export function updateClusterState(altitude) {
+    const { splitAltitude, mergeAltitude } = settings.cities;
+    const expanded = citiesExpanded ? altitude < mergeAltitude : altitude < splitAltitude;
+
+    if (expanded === citiesExpanded) return false;
+    citiesExpanded = expanded;
+    console.log(`City points ${expanded ? 'expanded' : 'clustered'} at altitude ${altitude.toFixed(2)}`);
+    return true;
+}
+
+/**
+ * Build the city points for one country point.
+ * Headcount not assigned to a listed city stays at the country centroid.
+ */
+function getCityPoints(countryPoint) {
+    const points = countryPoint.cities.map(city => ({
+        name: city.name,
+        count: city.count,
+        coordinates: city.coordinates
+    }));
+
+    const assigned = countryPoint.cities.reduce((sum, city) => sum + city.count, 0);
+    if (countryPoint.count > assigned) {
+        points.push({
+            name: `Elsewhere in ${countryPoint.name}`,
+            count: countryPoint.count - assigned,
+            coordinates: countryPoint.coordinates
+        });
+    }
+
+    return points.map(city => {
+        const key = `${countryPoint.name}/${city.name}`;
+        if (!cityPointCache.has(key)) {
+            cityPointCache.set(key, {});
+        }
+        return Object.assign(cityPointCache.get(key), city, {
+            country: countryPoint.name,
+            isCity: true,
+            categoryColor: countryPoint.categoryColor,
+            transitionColor: null
+        });
+    });
+}
+
+/**
+ * Turn country points into city points, whatever the zoom level
+ * (countries without city-level locations stay country points)
+ */
+export function expandCityPoints(countryPoints) {
+    return countryPoints.flatMap(point =>
+        point.cities && point.cities.length > 0 ? getCityPoints(point) : [point]
+    );
+}
+
+/**
+ * Turn country points into the points to display at the current zoom level
+ */
+export function getDisplayPoints(countryPoints) {
+    return citiesExpanded ? expandCityPoints(countryPoints) : countryPoints;
+}
@@ -2,7 +2,10 @@
  * Globe Configuration Module
  * Initializes and configures the Globe.gl instance
  */
-import { isTransPacificRoute } from './connections.js';
+import { settings } from '../settings.js';
+import { getArcAltitude } from './routing.js';
+import { createScale, sampleStops } from './scales.js';
+import { getHexResolution } from './hexbin.js';
 
 // Global arc opacity multiplier for fade-in animation
 export let arcOpacityMultiplier = 0.001;
@@ -11,6 +14,25 @@ export function setArcOpacityMultiplier(value) {
     arcOpacityMultiplier = value;
 }
 
+// Connection picked in the detail panel: its arc and endpoints stay lit, the rest dims
+export let focusedConnection = null;
+
+export function setFocusedConnection(connection) {
+    focusedConnection = connection;
+}
+
+// Opacity of everything outside the focused connection
+const DIMMED_OPACITY = 0.15;
+
+/**
+ * Check whether a point is one of the focused connection's endpoints
+ * (city points belong to their country's endpoint)
+ */
+function isFocusedEndpoint(point) {
+    const endpoints = [focusedConnection.startCountry, focusedConnection.endCountry];
+    return endpoints.includes(point.name) || (point.isCity && endpoints.includes(point.country));
+}
+
 /**
  * Helper function to convert hex to rgba
  */
@@ -22,7 +44,49 @@ function hexToRgba(hex, opacity) {
 }
 
 /**
- * Get color based on count - DEFAULT COLORS (when no category is active)
+ * Blend two hex colors (t = 0 -> colorA, t = 1 -> colorB)
+ */
+export function mixColors(colorA, colorB, t) {
+    const channel = (hex, offset) => parseInt(hex.slice(offset, offset + 2), 16);
+    const mix = (offset) => Math.round(channel(colorA, offset) + (channel(colorB, offset) - channel(colorA, offset)) * t);
+    return '#' + [1, 3, 5].map(offset => mix(offset).toString(16).padStart(2, '0')).join('');
+}
+
+// Scales fitted to the current counts (see fitScales)
+let pointColorScale = createScale(settings.scales.pointColor);
+let pointSizeScale = createScale(settings.scales.pointSize);
+let arcColorScale = createScale(settings.scales.arcColor);
+
+/**
+ * Fit the color and size scales to the counts on display
+ * (quantile, linear and log scales depend on the data; threshold scales don't)
+ */
+export function fitScales(countryData) {
+    const counts = countryData.map(country => country.count);
+    pointColorScale = createScale(settings.scales.pointColor, counts);
+    pointSizeScale = createScale(settings.scales.pointSize, counts);
+    arcColorScale = createScale(settings.scales.arcColor, counts);
+}
+
+/**
+ * Get the fitted scales with their palettes, for the legend
+ */
+export function getScales() {
+    return {
+        pointColor: { scale: pointColorScale, palette: settings.scales.pointColor.palette },
+        pointSize: { scale: pointSizeScale, range: settings.scales.pointSize.range }
+    };
+}
+
+/**
+ * Sample a color palette at a scale position
+ */
+function samplePalette(palette, position) {
+    return sampleStops(palette, position, mixColors);
+}
+
+/**
+ * Get color based on count (when no category is active)
  */
 export function getPointColor(count, categoryColor = null) {
     // If a category is active, use its color
@@ -30,28 +94,59 @@ export function getPointColor(count, categoryColor = null) {
         return categoryColor;
     }
     
-    // Default color scheme based on count
-    if (count >= 50) return '#DAFF87'; // High count - Bright Green
-    if (count >= 10) return '#86F5AF'; // Medium count - Medium Green
-    return '#4A9B5E'; // Low count - Dark Green
+    return samplePalette(settings.scales.pointColor.palette, pointColorScale.position(count));
+}
+
+/**
+ * Get the color a point is drawn with, dimmed when another connection is focused
+ */
+export function getDisplayPointColor(point) {
+    const color = point.transitionColor || getPointColor(point.count, point.categoryColor);
+    if (!focusedConnection || isFocusedEndpoint(point)) return color;
+    return hexToRgba(color, DIMMED_OPACITY);
+}
+
+/**
+ * Get the color of a hexagon (hexbin view) from its summed headcount
+ * (all its points share the active category's color)
+ */
+export function getHexColor(hex) {
+    return getPointColor(hex.sumWeight, hex.points[0]?.categoryColor);
 }
 
 /**
  * Get point size based on count
  */
 export function getPointSize(count) {
-    if (count >= 50) return 0.8;
-    if (count >= 10) return 0.5;
-    return 0.3;
+    return sampleStops(settings.scales.pointSize.range, pointSizeScale.position(count), (a, b, t) => a + (b - a) * t);
 }
 
 /**
  * Get arc color based on connection strength
  */
 export function getArcColor(connection) {
+    // Arcs fading in or out (see arcs.js) scale their opacity down
+    let fade = connection.fade ?? 1;
+    
+    // Focused connection: its arc is drawn bright, every other arc dims
+    if (focusedConnection) {
+        if (connection.id === focusedConnection.id) {
+            const focusColor = connection.categoryColor || '#DAFF87';
+            return [hexToRgba(focusColor, 0.9 * fade), hexToRgba(focusColor, fade)];
+        }
+        fade *= DIMMED_OPACITY;
+    }
+    
+    // Real edges: heavier edges are brighter and more opaque
+    if (connection.isEdge) {
+        const edgeOpacity = (0.25 + connection.weightRatio * 0.55) * arcOpacityMultiplier * fade;
+        const edgeColor = connection.categoryColor || mixColors('#4A9B5E', '#DAFF87', connection.weightRatio);
+        return [hexToRgba(edgeColor, edgeOpacity), hexToRgba(edgeColor, Math.min(1, edgeOpacity * 1.5))];
+    }
+    
     const avgCount = (connection.startCount + connection.endCount) / 2;
     const baseOpacity = Math.min(0.3, avgCount / 200);
-    const opacity = baseOpacity * arcOpacityMultiplier;
+    const opacity = baseOpacity * arcOpacityMultiplier * fade;
     
     // If a category color is present, use it
     if (connection.categoryColor) {
@@ -61,10 +156,18 @@ export function getArcColor(connection) {
         ];
     }
     
-    // Default color scheme based on count
-    if (avgCount >= 50) return [`rgba(218, 255, 135, ${opacity})`, `rgba(218, 255, 135, ${opacity * 1.5})`];
-    if (avgCount >= 20) return [`rgba(134, 245, 175, ${opacity})`, `rgba(134, 245, 175, ${opacity * 1.5})`];
-    return [`rgba(74, 155, 94, ${opacity})`, `rgba(74, 155, 94, ${opacity * 1.5})`];
+    // Default color scheme based on the average count of both ends
+    const arcColor = samplePalette(settings.scales.arcColor.palette, arcColorScale.position(avgCount));
+    return [hexToRgba(arcColor, opacity), hexToRgba(arcColor, opacity * 1.5)];
+}
+
+/**
+ * Get arc dash animation time. Dashes stay still while baseTime is 0 (intro);
+ * afterwards real edges flow faster the heavier they are.
+ */
+export function getArcDashAnimateTime(connection, baseTime) {
+    if (baseTime === 0 || !connection.isEdge) return baseTime;
+    return 6000 - connection.weightRatio * 4500;
 }
 
 /**
@@ -72,15 +175,16 @@ export function getArcColor(connection) {
  */
 export function initializeGlobe(container) {
     const globe = new Globe(container)
-        .globeImageUrl('https://upload.wikimedia.org/wikipedia/commons/b/b3/Solarsystemscope_texture_8k_earth_nightmap.jpg')
-        .backgroundImageUrl('//cdn.jsdelivr.net/npm/three-globe/example/img/night-sky.png')
+        // Textures from the CDN or vendor/ (see js/assets.js)
+        .globeImageUrl(window.getAssetUrl('earthTexture'))
+        .backgroundImageUrl(window.getAssetUrl('skyTexture'))
         .pointOfView({ lat: 20, lng: 0, altitude: 2.5 })
         
         // Points configuration - START WITH EMPTY DATA (will animate in later)
         .pointsData([])
         .pointLat(d => d.coordinates.lat)
         .pointLng(d => d.coordinates.lng)
-        .pointColor(d => getPointColor(d.count, d.categoryColor))
+        .pointColor(d => getDisplayPointColor(d))
         .pointAltitude(d => getPointSize(d.count) * 0.2)
         .pointRadius(d => getPointSize(d.count) * 0.8)
         .pointResolution(6) // REDUCIDO: de 8 a 6 para mejor performance
@@ -95,23 +199,61 @@ export function initializeGlobe(container) {
         .arcEndLat(d => d.endLat)
         .arcEndLng(d => d.endLng)
         .arcColor(d => getArcColor(d))
-        .arcAltitude(d => {
-            const distance = d.distance;
-            const isTransPacific = isTransPacificRoute(d.startLng, d.endLng, d.startLat, d.endLat);
-            if (isTransPacific) return 0.3;
-            if (distance > 10000) return 0.4;
-            if (distance > 5000) return 0.25;
-            if (distance > 2000) return 0.15;
-            return 0.08;
-        })
+        .arcAltitude(d => getArcAltitude(d.angle))
         .arcCurveResolution(24) // REDUCIDO: de 32 a 24 para mejor performance
         .arcCircularResolution(2) // REDUCIDO: de 3 a 2 para mejor performance
-        .arcStroke(0.1)
+        .arcStroke(d => d.isEdge ? 0.1 + d.weightRatio * 0.6 : 0.1)
         .arcDashLength(0.25)
         .arcDashGap(1)
-        .arcDashInitialGap(() => Math.random())
-        .arcDashAnimateTime(0)
+        .arcDashInitialGap(d => d.dashInitialGap ?? 0)
+        .arcDashAnimateTime(d => getArcDashAnimateTime(d, 0))
         .arcsTransitionDuration(1500)
+        
+        // Polygons configuration - country fills (choropleth view, see choropleth.js)
+        .polygonsData([])
+        .polygonGeoJsonGeometry(d => d.geometry)
+        .polygonCapColor(d => getDisplayPointColor(d.country))
+        .polygonSideColor(() => 'rgba(26, 48, 47, 0.6)')
+        .polygonStrokeColor(() => '#1A302F')
+        .polygonAltitude(0.01)
+        .polygonLabel(() => null)
+        .polygonsTransitionDuration(1000)
+        
+        // Hex bin configuration - headcount hexagons (hexbin view, see hexbin.js)
+        .hexBinPointsData([])
+        .hexBinPointLat(d => d.coordinates.lat)
+        .hexBinPointLng(d => d.coordinates.lng)
+        .hexBinPointWeight(d => d.count)
+        .hexBinResolution(getHexResolution(2.5))
+        .hexMargin(settings.hexbin.margin)
+        .hexAltitude(d => getPointSize(d.sumWeight) * 0.2)
+        .hexTopColor(d => getHexColor(d))
+        .hexSideColor(d => hexToRgba(getHexColor(d), 0.6))
+        .hexLabel(() => null)
+        .hexTransitionDuration(1000)
+        
+        // Paths configuration - bundled arcs (edge bundling mode, see bundling.js)
+        .pathsData([])
+        .pathPoints(d => d.points)
+        .pathPointLat(p => p[0])
+        .pathPointLng(p => p[1])
+        .pathPointAlt(p => p[2])
+        .pathColor(d => getArcColor(d.connection))
+        .pathStroke(null) // 1px lines: the only ones that support transparency
+        .pathDashLength(0.25)
+        .pathDashGap(1)
+        .pathDashInitialGap(d => d.dashInitialGap ?? 0)
+        .pathDashAnimateTime(d => getArcDashAnimateTime(d.connection, 3000))
+        .pathTransitionDuration(1000)
+        
+        // Rings configuration - entrance ripples for countries entering the timeline
+        .ringsData([])
+        .ringLat(d => d.coordinates.lat)
+        .ringLng(d => d.coordinates.lng)
+        .ringColor(d => t => `rgba(218, 255, 135, ${1 - t})`)
+        .ringMaxRadius(5)
+        .ringPropagationSpeed(4)
+        .ringRepeatPeriod(700)
         .enablePointerInteraction(true);
     
     // Add atmospheric effects
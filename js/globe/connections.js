@@ -2,185 +2,207 @@
  * Connection Generation Module
  * Handles generation of arc connections between countries
  */
-import { categories } from '../data/categories.js';
+import { settings } from '../settings.js';
+import { categories, isSinglePersonCategory } from '../data/categories.js';
+import { selectConnectionPairs } from './pairing.js';
+import { getRoute, angularDistance, EARTH_RADIUS_KM } from './routing.js';
+
+// Which arcs are drawn: 'real' edges from the edge list or the 'decorative' generator
+let arcMode = 'decorative';
+
+/**
+ * Get the arc mode
+ */
+export function getArcMode() {
+    return arcMode;
+}
+
+/**
+ * Set the arc mode ('real' or 'decorative')
+ */
+export function setArcMode(mode) {
+    arcMode = mode;
+}
 
 /**
  * Calculate distance between two points using Haversine formula
  */
 export function calculateDistance(lat1, lng1, lat2, lng2) {
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLng = (lng2 - lng1) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-              Math.sin(dLng/2) * Math.sin(dLng/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
+    return angularDistance(lat1, lng1, lat2, lng2) * EARTH_RADIUS_KM;
 }
 
 /**
- * Detect if a route should go across the Pacific
+ * Build the arc object connecting two countries, routed along the shorter great circle
  */
-export function isTransPacificRoute(startLng, endLng, startLat, endLat) {
-    const isLatinAmerica = (lng) => lng >= -120 && lng <= -30;
-    const isAsia = (lng) => lng >= 95 && lng <= 180;
-    const isOceania = (lng) => lng >= 110 && lng <= 180 && endLat >= -50 && endLat <= -10;
-    
-    const fromLatAm = isLatinAmerica(startLng);
-    const toAsiaPacific = isAsia(endLng) || isOceania(endLng);
-    const fromAsiaPacific = isAsia(startLng) || isOceania(startLng);
-    const toLatAm = isLatinAmerica(endLng);
+export function createConnection(country1, country2, activeCategory) {
+    const route = getRoute(
+        country1.coordinates.lat, country1.coordinates.lng,
+        country2.coordinates.lat, country2.coordinates.lng
+    );
+    return {
+        startLat: country1.coordinates.lat,
+        startLng: route.startLng,
+        endLat: country2.coordinates.lat,
+        endLng: route.endLng,
+        startCountry: country1.name,
+        endCountry: country2.name,
+        startCount: country1.count,
+        endCount: country2.count,
+        startMasked: Boolean(country1.masked),
+        endMasked: Boolean(country2.masked),
+        distance: route.distance,
+        angle: route.angle,
+        crossesAntimeridian: route.crossesAntimeridian,
+        category: activeCategory,
+        categoryColor: activeCategory && categories[activeCategory] ? categories[activeCategory].color : null
+    };
+}
+
+/**
+ * Get the connection seed: ?seed= in the URL wins over settings.connections.seed.
+ * Returns null when connections should vary on every generation.
+ */
+export function getConnectionSeed() {
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    if (urlSeed !== null && urlSeed !== '') return urlSeed;
+    return settings.connections.seed ?? null;
+}
+
+/**
+ * Pairing options for the active category
+ * With a seed, the same seed, dataset and category always give the same arcs
+ */
+export function getPairingOptions(activeCategory) {
+    const seed = getConnectionSeed();
+    return {
+        seed: seed !== null ? `${seed}:${activeCategory || 'all'}` : null,
+        time: seed !== null ? 0 : Date.now(),
+        isLoneWolfMode: isSinglePersonCategory(activeCategory),
+        exactPairLimit: settings.connections.exactPairLimit,
+        candidatesPerLocation: settings.connections.candidatesPerLocation
+    };
+}
+
+/**
+ * Turn selected index pairs into connection objects
+ */
+export function buildPairConnections(activeCountries, pairs, activeCategory) {
+    const connections = pairs.map(([i, j]) => createConnection(activeCountries[i], activeCountries[j], activeCategory));
     
-    return (fromLatAm && toAsiaPacific) || (fromAsiaPacific && toLatAm);
+    const forcedCount = pairs.filter(pair => pair[2]).length;
+    console.log(`Generated ${connections.length} connections for ${activeCountries.length} countries`);
+    console.log(`Isolated countries that got forced connections: ${forcedCount}`);
+    return connections;
+}
+
+/**
+ * Turn countries into the plain locations the pairing works on
+ */
+export function toLocations(activeCountries) {
+    return activeCountries.map(country => ({
+        name: country.name,
+        count: country.count,
+        lat: country.coordinates.lat,
+        lng: country.coordinates.lng
+    }));
 }
 
 /**
  * Generate connections between countries
  */
 export function generateConnections(countryData, enabledCountriesSet, activeCategory) {
-    const connections = [];
-    
-    // Filter countries to only enabled ones
     const activeCountries = countryData.filter(country => enabledCountriesSet.has(country.name));
+    const pairs = selectConnectionPairs(toLocations(activeCountries), getPairingOptions(activeCategory));
+    return buildPairConnections(activeCountries, pairs, activeCategory);
+}
+
+// Pairing worker, started on first use
+let pairingWorker = null;
+let pairingRequestId = 0;
+const pendingPairings = new Map();
+
+/**
+ * Get the pairing worker (null when workers are unavailable)
+ */
+function getPairingWorker() {
+    if (pairingWorker || typeof Worker === 'undefined') return pairingWorker;
+    try {
+        pairingWorker = new Worker(new URL('./pairingWorker.js', import.meta.url), { type: 'module' });
+        pairingWorker.onmessage = ({ data }) => {
+            const pending = pendingPairings.get(data.id);
+            pendingPairings.delete(data.id);
+            if (pending) pending.resolve(data.pairs);
+        };
+        pairingWorker.onerror = (event) => {
+            console.warn('Pairing worker failed, generating connections on the main thread:', event.message);
+            pendingPairings.forEach(pending => pending.reject(new Error(event.message)));
+            pendingPairings.clear();
+            pairingWorker.terminate();
+            pairingWorker = false;
+        };
+    } catch (e) {
+        console.warn('Could not start the pairing worker:', e);
+        pairingWorker = false;
+    }
+    return pairingWorker;
+}
+
+/**
+ * Run a pairing method ('random' or 'mst', see pairingWorker.js) in the pairing
+ * worker when there are enough locations (settings.connections.workerThreshold).
+ * Resolves to the index pairs, or null when the caller should pair on the main
+ * thread (too few locations, no worker, or the worker failed).
+ */
+export async function selectPairsInWorker(method, locations, options = {}) {
+    const worker = locations.length >= settings.connections.workerThreshold ? getPairingWorker() : null;
+    if (!worker) return null;
     
-    // Check if we're in Lone Wolf mode
-    const isLoneWolfMode = activeCategory === 'lone_wolf';
-    
-    // Ensure every country gets at least one connection
-    const countryConnections = new Map();
-    activeCountries.forEach(country => countryConnections.set(country.name, 0));
-    
-    // Connect ALL enabled countries to each other with varying probability
-    for (let i = 0; i < activeCountries.length; i++) {
-        for (let j = i + 1; j < activeCountries.length; j++) {
-            const country1 = activeCountries[i];
-            const country2 = activeCountries[j];
-            
-            const distance = calculateDistance(
-                country1.coordinates.lat, country1.coordinates.lng,
-                country2.coordinates.lat, country2.coordinates.lng
-            );
-            
-            // Create multiple seeds for more variety in connections
-            const seed1 = (country1.name + country2.name).split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-            const seed2 = (country2.name + country1.name).split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-            const seed3 = Math.abs(country1.coordinates.lat * country2.coordinates.lng);
-            const combinedSeed = (seed1 + seed2 + seed3) % 10000;
-            
-            const pseudoRandom = Math.sin(combinedSeed * 0.001) * 10000;
-            const randomValue = Math.abs(pseudoRandom - Math.floor(pseudoRandom));
-            
-            // ULTRA OPTIMIZED: Minimal connections for performance
-            let probability = 0.01; // REDUCED 75% from original 0.04
-            
-            // Special handling for Lone Wolf mode or lone wolf countries
-            if (isLoneWolfMode || (country1.count === 1 || country2.count === 1)) {
-                // Give lone wolves better chances to connect
-                probability = 0.05; // REDUCED 75% from original 0.15
-                
-                // Boost probability if either country has no connections yet
-                if (countryConnections.get(country1.name) === 0 || countryConnections.get(country2.name) === 0) {
-                    probability = 0.10; // REDUCED 75% from original 0.30
-                }
-            } else {
-                // Varied probability for non-lone wolves
-                const countFactor = Math.min((country1.count + country2.count) / 400, 0.03); // REDUCED 75%
-                const distanceFactor = Math.max(0.01, 1 - (distance / 18000)); // REDUCED 75%
-                const randomFactor = Math.random() * 0.02; // REDUCED 75%
-                
-                probability = 0.01 + countFactor + (distanceFactor * 0.015) + randomFactor; // REDUCED 75%
-                
-                // Boost for countries with few connections
-                if (countryConnections.get(country1.name) < 2 || countryConnections.get(country2.name) < 2) {
-                    probability += 0.03; // REDUCED 75% from original 0.10
-                }
-                
-                // Ensure probability stays within bounds
-                probability = Math.min(Math.max(probability, 0.01), 0.08); // REDUCED 75%
-            }
-            
-            // Add time-based variation for more dynamic connections
-            const timeVariation = Math.sin(Date.now() * 0.0001 + combinedSeed) * 0.01; // REDUCED 75%
-            probability += timeVariation;
-            
-            const shouldConnect = randomValue < probability;
-            
-            if (shouldConnect) {
-                // Check if this should be a trans-Pacific route
-                const isTransPacific = isTransPacificRoute(
-                    country1.coordinates.lng, country2.coordinates.lng, 
-                    country1.coordinates.lat, country2.coordinates.lat
-                );
-                
-                let startLng = country1.coordinates.lng;
-                let endLng = country2.coordinates.lng;
-                
-                // Force trans-Pacific routes to go across the Pacific
-                if (isTransPacific) {
-                    // If crossing from Americas to Asia, ensure we go the Pacific way
-                    if (startLng < 0 && endLng > 0) {
-                        // From Americas (negative lng) to Asia (positive lng) - go east across Pacific
-                        if (Math.abs(endLng - startLng) > 180) {
-                            startLng = startLng < -150 ? startLng : startLng - 360;
-                        }
-                    } else if (startLng > 0 && endLng < 0) {
-                        // From Asia (positive lng) to Americas (negative lng) - go west across Pacific
-                        if (Math.abs(startLng - endLng) > 180) {
-                            endLng = endLng < -150 ? endLng : endLng - 360;
-                        }
-                    }
-                }
-                
-                connections.push({
-                    startLat: country1.coordinates.lat,
-                    startLng: startLng,
-                    endLat: country2.coordinates.lat,
-                    endLng: endLng,
-                    startCountry: country1.name,
-                    endCountry: country2.name,
-                    startCount: country1.count,
-                    endCount: country2.count,
-                    distance: distance,
-                    category: activeCategory,
-                    categoryColor: activeCategory && categories[activeCategory] ? categories[activeCategory].color : null
-                });
-                
-                // Track connections for each country
-                countryConnections.set(country1.name, countryConnections.get(country1.name) + 1);
-                countryConnections.set(country2.name, countryConnections.get(country2.name) + 1);
-            }
-        }
+    const id = ++pairingRequestId;
+    try {
+        return await new Promise((resolve, reject) => {
+            pendingPairings.set(id, { resolve, reject });
+            worker.postMessage({ id, method, locations, options });
+        });
+    } catch (e) {
+        return null;
     }
+}
+
+/**
+ * Generate connections off the main thread when the dataset is large enough
+ * (settings.connections.workerThreshold); falls back to generateConnections
+ */
+export async function generateConnectionsAsync(countryData, enabledCountriesSet, activeCategory) {
+    const activeCountries = countryData.filter(country => enabledCountriesSet.has(country.name));
+    const pairs = await selectPairsInWorker('random', toLocations(activeCountries), getPairingOptions(activeCategory));
+    if (!pairs) {
+        return generateConnections(countryData, enabledCountriesSet, activeCategory);
+    }
+    return buildPairConnections(activeCountries, pairs, activeCategory);
+}
+
+/**
+ * Build arcs from real edges. Only edges whose endpoints are both drawn are kept.
+ * weightRatio (weight / heaviest edge) drives arc width, color and dash speed.
+ */
+export function generateEdgeConnections(edges, countryData, activeCategory) {
+    const countriesByName = new Map(countryData.map(country => [country.name, country]));
+    const maxWeight = edges.reduce((max, edge) => Math.max(max, edge.weight), 0);
     
-    // Ensure isolated countries (especially lone wolves) get at least one connection
-    const isolatedCountries = activeCountries.filter(country => countryConnections.get(country.name) === 0);
-    isolatedCountries.forEach(isolatedCountry => {
-        // Find a random partner for isolated countries
-        const potentialPartners = activeCountries.filter(country => country.name !== isolatedCountry.name);
-        if (potentialPartners.length > 0) {
-            const randomIndex = Math.floor(Math.random() * potentialPartners.length);
-            const partner = potentialPartners[randomIndex];
-            
-            connections.push({
-                startLat: isolatedCountry.coordinates.lat,
-                startLng: isolatedCountry.coordinates.lng,
-                endLat: partner.coordinates.lat,
-                endLng: partner.coordinates.lng,
-                startCountry: isolatedCountry.name,
-                endCountry: partner.name,
-                startCount: isolatedCountry.count,
-                endCount: partner.count,
-                distance: calculateDistance(
-                    isolatedCountry.coordinates.lat, isolatedCountry.coordinates.lng,
-                    partner.coordinates.lat, partner.coordinates.lng
-                ),
-                category: activeCategory,
-                categoryColor: activeCategory && categories[activeCategory] ? categories[activeCategory].color : null
-            });
-        }
-    });
+    const connections = edges
+        .filter(edge => countriesByName.has(edge.source) && countriesByName.has(edge.target))
+        .map(edge => {
+            const source = countriesByName.get(edge.source);
+            const target = countriesByName.get(edge.target);
+            return {
+                ...createConnection(source, target, activeCategory),
+                isEdge: true,
+                weight: edge.weight,
+                weightRatio: maxWeight > 0 ? edge.weight / maxWeight : 0,
+                metadata: edge.metadata
+            };
+        });
     
-    console.log(`Generated ${connections.length} connections for ${activeCountries.length} countries`);
-    console.log(`Isolated countries that got forced connections: ${isolatedCountries.length}`);
+    console.log(`Built ${connections.length} of ${edges.length} real edges for ${countryData.length} countries`);
     return connections;
 }
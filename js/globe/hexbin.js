@@ -0,0 +1,53 @@
+/**
+ * Hexbin Module
+ * Alternative to the point cylinders for city-level data: every location is
+ * binned into an H3 hexagon weighted by its headcount, so dense areas read as
+ * a heat surface. Hexagons get finer as the camera zooms in (settings.hexbin).
+ * Privacy-protected records are binned where the points layer would draw them
+ * (jittered or regional bucket locations), never at their real location.
+ */
+import { settings } from '../settings.js';
+
+// Resolution picked in the UI: 'auto' follows the zoom, a number is a fixed H3 level
+let resolutionSetting = settings.hexbin.resolution;
+
+/**
+ * Get the resolution setting ('auto' or an H3 level)
+ */
+export function getHexResolutionSetting() {
+    return resolutionSetting;
+}
+
+/**
+ * Set the resolution setting ('auto' or an H3 level)
+ */
+export function setHexResolutionSetting(resolution) {
+    resolutionSetting = resolution;
+}
+
+/**
+ * H3 resolution for a camera altitude: one level finer every time the altitude halves
+ * (2.5, the default view, gives the coarsest level)
+ */
+export function getHexResolution(altitude) {
+    if (resolutionSetting !== 'auto') return resolutionSetting;
+    const { minResolution, maxResolution } = settings.hexbin;
+    const level = minResolution + Math.round(Math.log2(2.5 / altitude));
+    return Math.max(minResolution, Math.min(maxResolution, level));
+}
+
+/**
+ * Headcount per country inside a hexagon, largest first: [{ name, count, masked }]
+ * (city points add up to their country, regional buckets keep their own name)
+ */
+export function getHexCountries(hex) {
+    const countries = new Map();
+    hex.points.forEach(point => {
+        const name = point.isCity ? point.country : point.name;
+        const entry = countries.get(name) || { name, count: 0, masked: false };
+        entry.count += point.count;
+        entry.masked = entry.masked || Boolean(point.masked);
+        countries.set(name, entry);
+    });
+    return [...countries.values()].sort((a, b) => b.count - a.count);
+}
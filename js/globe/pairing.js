@@ -0,0 +1,171 @@
+/**
+ * Connection Pairing Module
+ * Decides which pairs of locations get a decorative arc (the "random" and "mst"
+ * strategies). Pure data in, index pairs out - no DOM and no globe - so it also
+ * runs in a Web Worker.
+ *
+ * Small datasets (up to exactPairLimit locations) compare every pair. Larger ones
+ * give each location candidatesPerLocation candidates: its nearest neighbors
+ * (found with the spatial index) plus a few seeded long-range picks. That keeps
+ * generation roughly linear in the number of locations instead of quadratic.
+ */
+import { createSpatialIndex } from './spatialIndex.js';
+import { createSeededRandom } from './random.js';
+import { angularDistance, toUnitVector, EARTH_RADIUS_KM } from './routing.js';
+
+/**
+ * Sum of the character codes of a name (the per-pair seed is built from these)
+ */
+function charSum(name) {
+    let sum = 0;
+    for (let i = 0; i < name.length; i++) sum += name.charCodeAt(i);
+    return sum;
+}
+
+/**
+ * Candidate partners of every location for large datasets: nearest neighbors
+ * plus seeded long-range picks. Each pair is listed once, under its lower index.
+ */
+function buildCandidates(locations, candidatesPerLocation, random) {
+    const n = locations.length;
+    const index = createSpatialIndex(locations);
+    const longRange = Math.max(1, Math.round(candidatesPerLocation / 4));
+    const nearCount = Math.max(1, candidatesPerLocation - longRange);
+    const partners = locations.map(() => []);
+
+    for (let i = 0; i < n; i++) {
+        const picks = index.nearest(i, nearCount);
+        for (let pick = 0; pick < longRange; pick++) {
+            const j = Math.floor(random() * (n - 1));
+            picks.push(j >= i ? j + 1 : j);
+        }
+        picks.forEach(j => partners[Math.min(i, j)].push(Math.max(i, j)));
+    }
+
+    // Candidate lists aren't symmetric, so a pair can be picked from both sides
+    return partners.map(list => {
+        list.sort((a, b) => a - b);
+        return list.filter((j, position) => position === 0 || list[position - 1] !== j);
+    });
+}
+
+/**
+ * Select the pairs to connect.
+ *
+ * locations: [{ name, count, lat, lng }]
+ * options:   { seed (null = Math.random), time, isLoneWolfMode, exactPairLimit, candidatesPerLocation }
+ * Returns [[i, j], ...] index pairs; isolated locations get one forced partner ([i, j, true]).
+ */
+export function selectConnectionPairs(locations, options) {
+    const { seed = null, time = 0, isLoneWolfMode = false, exactPairLimit = 300, candidatesPerLocation = 12 } = options;
+    const random = seed !== null ? createSeededRandom(seed) : Math.random;
+    const n = locations.length;
+    const nameSums = locations.map(location => charSum(location.name));
+    const connectionCounts = new Uint32Array(n);
+    const pruned = n > exactPairLimit;
+    const candidates = pruned ? buildCandidates(locations, candidatesPerLocation, random) : null;
+    const pairs = [];
+
+    for (let i = 0; i < n; i++) {
+        const partners = pruned ? candidates[i] : null;
+        for (let c = 0, end = pruned ? partners.length : n - i - 1; c < end; c++) {
+            const first = i;
+            const second = pruned ? partners[c] : i + 1 + c;
+
+            const location1 = locations[first];
+            const location2 = locations[second];
+            const distance = angularDistance(location1.lat, location1.lng, location2.lat, location2.lng) * EARTH_RADIUS_KM;
+
+            // Per-pair pseudo random value from both names and the coordinates
+            const seed3 = Math.abs(location1.lat * location2.lng);
+            const combinedSeed = (2 * (nameSums[first] + nameSums[second]) + seed3) % 10000;
+            const pseudoRandom = Math.sin(combinedSeed * 0.001) * 10000;
+            const randomValue = Math.abs(pseudoRandom - Math.floor(pseudoRandom));
+
+            let probability;
+            if (isLoneWolfMode || location1.count === 1 || location2.count === 1) {
+                // Give lone wolves better chances to connect, more so while unconnected
+                probability = connectionCounts[first] === 0 || connectionCounts[second] === 0 ? 0.10 : 0.05;
+            } else {
+                const countFactor = Math.min((location1.count + location2.count) / 400, 0.03);
+                const distanceFactor = Math.max(0.01, 1 - (distance / 18000));
+                const randomFactor = random() * 0.02;
+
+                probability = 0.01 + countFactor + (distanceFactor * 0.015) + randomFactor;
+
+                // Boost for locations with few connections
+                if (connectionCounts[first] < 2 || connectionCounts[second] < 2) {
+                    probability += 0.03;
+                }
+                probability = Math.min(Math.max(probability, 0.01), 0.08);
+            }
+
+            // Time-based variation for more dynamic connections (frozen when seeded)
+            probability += Math.sin(time * 0.0001 + combinedSeed) * 0.01;
+
+            if (randomValue < probability) {
+                pairs.push([first, second]);
+                connectionCounts[first]++;
+                connectionCounts[second]++;
+            }
+        }
+    }
+
+    // Ensure isolated locations (especially lone wolves) get at least one connection.
+    // Counting the forced pair for both ends keeps its partner from forcing it again.
+    for (let i = 0; i < n && n > 1; i++) {
+        if (connectionCounts[i] > 0) continue;
+        const j = Math.floor(random() * (n - 1));
+        const partner = j >= i ? j + 1 : j;
+        pairs.push([i, partner, true]);
+        connectionCounts[i]++;
+        connectionCounts[partner]++;
+    }
+
+    return pairs;
+}
+
+/**
+ * Minimum spanning tree (Prim): the pairs that connect every location with the
+ * least total arc length. Quadratic, but on unit-vector chords (no trigonometry
+ * per pair); large datasets run it in the pairing worker. Returns [[parent, child], ...].
+ */
+export function selectSpanningTreePairs(locations) {
+    const n = locations.length;
+    if (n < 2) return [];
+
+    const vectors = new Float64Array(n * 3);
+    locations.forEach((location, i) => vectors.set(toUnitVector(location.lat, location.lng), i * 3));
+    const inTree = new Uint8Array(n);
+    const bestDistance = new Float64Array(n).fill(Infinity);
+    const bestParent = new Int32Array(n).fill(-1);
+    const pairs = [];
+
+    let next = 0;
+    for (let step = 0; step < n; step++) {
+        inTree[next] = 1;
+        if (bestParent[next] !== -1) pairs.push([bestParent[next], next]);
+
+        // Chord length grows with great-circle distance, so it ranks edges the same way
+        const x = vectors[next * 3];
+        const y = vectors[next * 3 + 1];
+        const z = vectors[next * 3 + 2];
+        let closest = -1;
+        for (let i = 0; i < n; i++) {
+            if (inTree[i]) continue;
+            const dx = vectors[i * 3] - x;
+            const dy = vectors[i * 3 + 1] - y;
+            const dz = vectors[i * 3 + 2] - z;
+            const distance = dx * dx + dy * dy + dz * dz;
+            if (distance < bestDistance[i]) {
+                bestDistance[i] = distance;
+                bestParent[i] = next;
+            }
+            if (closest === -1 || bestDistance[i] < bestDistance[closest]) closest = i;
+        }
+        next = closest;
+    }
+
+    return pairs;
+}
+
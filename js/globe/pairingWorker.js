@@ -0,0 +1,14 @@
+/**
+ * Pairing Worker
+ * Runs the pairing off the main thread for large datasets: selectConnectionPairs
+ * ("random") or selectSpanningTreePairs ("mst")
+ * Message in: { id, method, locations, options }  -  message out: { id, pairs }
+ */
+import { selectConnectionPairs, selectSpanningTreePairs } from './pairing.js';
+
+self.onmessage = ({ data }) => {
+    const pairs = data.method === 'mst'
+        ? selectSpanningTreePairs(data.locations)
+        : selectConnectionPairs(data.locations, data.options);
+    self.postMessage({ id: data.id, pairs });
+};
@@ -0,0 +1,30 @@
+/**
+ * Seeded Random Module
+ * Small deterministic PRNG so a given seed always produces the same sequence
+ */
+
+/**
+ * Hash a string into a 32-bit seed (FNV-1a)
+ */
+export function hashSeed(text) {
+    let hash = 2166136261;
+    for (const char of String(text)) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random function returning values in [0, 1) (mulberry32)
+ */
+export function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
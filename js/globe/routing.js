@@ -0,0 +1,134 @@
+/**
+ * Arc Routing Module
+ * Great-circle geometry for arcs. Every route takes the shorter way around the
+ * globe: longitudes are normalized to [-180, 180) and the end longitude is
+ * unwrapped so it is never more than 180 degrees from the start (e.g. Chile to
+ * New Zealand ends at 174 - 360 = -186 and crosses the Pacific, not the Atlantic).
+ * Pure math, no globe, so it also runs in the pairing worker.
+ */
+
+export const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Normalize a longitude to [-180, 180)
+ */
+export function normalizeLng(lng) {
+    return ((lng + 180) % 360 + 360) % 360 - 180;
+}
+
+/**
+ * Turn lat/lng (degrees) into a unit vector [x, y, z]
+ */
+export function toUnitVector(lat, lng) {
+    const phi = lat * Math.PI / 180;
+    const lambda = lng * Math.PI / 180;
+    return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+}
+
+/**
+ * Central angle between two points in radians (Haversine)
+ */
+export function angularDistance(lat1, lng1, lat2, lng2) {
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+              Math.sin(dLng/2) * Math.sin(dLng/2);
+    return 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+}
+
+/**
+ * Route between two points along the shorter great circle.
+ * Returns { startLng, endLng, angle, distance, crossesAntimeridian }: startLng is
+ * normalized, endLng is unwrapped to within 180 degrees of it.
+ */
+export function getRoute(startLat, startLng, endLat, endLng) {
+    const start = normalizeLng(startLng);
+    const delta = normalizeLng(endLng - start);
+    const end = start + delta;
+    const angle = angularDistance(startLat, start, endLat, end);
+    return {
+        startLng: start,
+        endLng: end,
+        angle,
+        distance: angle * EARTH_RADIUS_KM,
+        crossesAntimeridian: end < -180 || end >= 180
+    };
+}
+
+/**
+ * Arc altitude (in globe radii) from the route's angular distance:
+ * short hops stay low, half-way-around routes rise highest
+ */
+export function getArcAltitude(angle) {
+    return Math.min(0.05 + 0.35 * angle / (Math.PI / 2), 0.5);
+}
+
+/**
+ * Approximate time zone difference in hours from the longitude gap
+ * (15 degrees per hour - the data has no real time zones)
+ */
+export function getTimeDifferenceHours(startLng, endLng) {
+    return Math.round(Math.abs(normalizeLng(endLng - startLng)) / 15);
+}
+
+/**
+ * Point half-way along a route's great circle: { lat, lng }
+ */
+export function getRouteMidpoint(startLat, startLng, endLat, endLng) {
+    const start = toUnitVector(startLat, startLng);
+    const end = toUnitVector(endLat, endLng);
+    const [x, y, z] = start.map((value, i) => value + end[i]);
+    // Antipodal points have no single midpoint; fall back to the average
+    if (Math.hypot(x, y, z) < 1e-9) return { lat: (startLat + endLat) / 2, lng: normalizeLng((startLng + endLng) / 2) };
+    return {
+        lat: Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI,
+        lng: Math.atan2(y, x) * 180 / Math.PI
+    };
+}
+
+/**
+ * Center of a set of { lat, lng } positions: the mean of their unit vectors, so a
+ * set spanning the antimeridian (Pacific islands) stays in the Pacific
+ */
+export function getCentroid(positions) {
+    const sum = [0, 0, 0];
+    positions.forEach(({ lat, lng }) => {
+        toUnitVector(lat, lng).forEach((value, i) => { sum[i] += value; });
+    });
+    const [x, y, z] = sum;
+    // Positions that cancel out (e.g. antipodes) have no center; fall back to the average
+    if (Math.hypot(x, y, z) < 1e-9) {
+        return {
+            lat: positions.reduce((total, position) => total + position.lat, 0) / positions.length,
+            lng: normalizeLng(positions.reduce((total, position) => total + position.lng, 0) / positions.length)
+        };
+    }
+    return {
+        lat: Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI,
+        lng: Math.atan2(y, x) * 180 / Math.PI
+    };
+}
+
+/**
+ * Point at fraction t (0..1) along a route's great circle: { lat, lng }
+ */
+export function getRoutePoint(startLat, startLng, endLat, endLng, t) {
+    const angle = angularDistance(startLat, startLng, endLat, endLng);
+    // Same point, or antipodal (no single great circle): interpolate lat/lng directly
+    if (angle < 1e-9 || Math.PI - angle < 1e-9) {
+        return {
+            lat: startLat + (endLat - startLat) * t,
+            lng: normalizeLng(startLng + normalizeLng(endLng - startLng) * t)
+        };
+    }
+    const start = toUnitVector(startLat, startLng);
+    const end = toUnitVector(endLat, endLng);
+    const a = Math.sin((1 - t) * angle) / Math.sin(angle);
+    const b = Math.sin(t * angle) / Math.sin(angle);
+    const [x, y, z] = start.map((value, i) => a * value + b * end[i]);
+    return {
+        lat: Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI,
+        lng: Math.atan2(y, x) * 180 / Math.PI
+    };
+}
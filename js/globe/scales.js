@@ -0,0 +1,100 @@
+/**
+ * Scales Module
+ * Turns a count into a position between 0 and 1; colors and sizes are then
+ * sampled from a palette or size range at that position (see config.js).
+ *
+ * Types (settings.scales):
+ *   threshold - fixed breaks: [10, 50] gives three classes (below 10, 10-49, 50+)
+ *   quantile  - breaks chosen so each class holds about as many countries
+ *   linear    - continuous from the smallest to the largest count
+ *   log       - continuous on a log scale, so small counts stay apart
+ */
+
+const SCALE_TYPES = ['threshold', 'quantile', 'linear', 'log'];
+
+/**
+ * Breaks that split sorted values into `classes` groups of about equal size
+ */
+function getQuantileBreaks(sortedValues, classes) {
+    const breaks = [];
+    for (let i = 1; i < classes; i++) {
+        const value = sortedValues[Math.floor(sortedValues.length * i / classes)];
+        if (value !== undefined && value > sortedValues[0] && !breaks.includes(value)) breaks.push(value);
+    }
+    return breaks;
+}
+
+/**
+ * Scale with discrete classes: position = class index / (classes - 1)
+ * classes: [{ from, to }] with `to` exclusive (null for the open-ended top class)
+ */
+function createClassScale(type, breaks, from) {
+    const sortedBreaks = [...breaks].sort((a, b) => a - b);
+    const bounds = [from, ...sortedBreaks.filter(value => value > from)];
+    const classes = bounds.map((start, i) => ({ from: start, to: i < bounds.length - 1 ? bounds[i + 1] : null }));
+    const lastIndex = Math.max(1, classes.length - 1);
+
+    return {
+        type,
+        classes,
+        position(value) {
+            const index = classes.findIndex(range => range.to === null || value < range.to);
+            return classes.length === 1 ? 1 : index / lastIndex;
+        }
+    };
+}
+
+/**
+ * Continuous scale between the smallest and largest value (linear or log)
+ */
+function createContinuousScale(type, min, max) {
+    const transform = type === 'log' ? Math.log : (value) => value;
+    const low = transform(Math.max(min, type === 'log' ? 1 : min));
+    const high = transform(Math.max(max, type === 'log' ? 1 : max));
+
+    return {
+        type,
+        classes: null,
+        domain: [min, max],
+        position(value) {
+            if (high <= low) return 1;
+            const t = (transform(Math.max(value, type === 'log' ? 1 : value)) - low) / (high - low);
+            return Math.min(1, Math.max(0, t));
+        }
+    };
+}
+
+/**
+ * Create a scale from a definition ({ type, thresholds, classes }) fitted to the values
+ * Unknown types fall back to linear.
+ */
+export function createScale(definition, values = []) {
+    const sortedValues = values.filter(value => value > 0).sort((a, b) => a - b);
+    const min = sortedValues.length > 0 ? sortedValues[0] : 1;
+    const max = sortedValues.length > 0 ? sortedValues[sortedValues.length - 1] : 1;
+
+    let type = definition.type;
+    if (!SCALE_TYPES.includes(type)) {
+        console.warn(`Unknown scale type "${type}", falling back to linear`);
+        type = 'linear';
+    }
+
+    // Counts start at 1: threshold classes keep their breaks whatever the data holds
+    if (type === 'threshold') return createClassScale(type, definition.thresholds || [], 1);
+    if (type === 'quantile') return createClassScale(type, getQuantileBreaks(sortedValues, definition.classes || 3), min);
+    return createContinuousScale(type, min, max);
+}
+
+/**
+ * Sample a list of stops (colors or numbers) at a position between 0 and 1;
+ * `interpolate(a, b, t)` blends two neighboring stops
+ */
+export function sampleStops(stops, position, interpolate) {
+    if (stops.length === 1) return stops[0];
+    const scaled = position * (stops.length - 1);
+    const index = Math.min(Math.floor(scaled), stops.length - 2);
+    const t = scaled - index;
+    if (t === 0) return stops[index];
+    if (t === 1) return stops[index + 1];
+    return interpolate(stops[index], stops[index + 1], t);
+}
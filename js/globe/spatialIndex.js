@@ -0,0 +1,214 @@
+/**
+ * Spatial Index Module
+ * k-d tree over points on the unit sphere (lat/lng turned into 3D unit vectors).
+ * Straight-line (chord) distance between unit vectors grows with the great-circle
+ * distance, so nearest neighbors by chord are nearest neighbors on the globe,
+ * with no special cases at the poles or the antimeridian.
+ *
+ * Used to prune connection candidates: a location only considers its nearest
+ * neighbors instead of every other location.
+ */
+import { EARTH_RADIUS_KM, toUnitVector } from './routing.js';
+
+/**
+ * Convert a great-circle distance in km to the matching squared chord length
+ */
+function kmToSquaredChord(km) {
+    const chord = 2 * Math.sin(Math.min(km / EARTH_RADIUS_KM, Math.PI) / 2);
+    return chord * chord;
+}
+
+/**
+ * Partially sort order[start, end) so order[nth] sits where a full sort by `axis`
+ * would put it, with smaller values before it and larger after (quickselect)
+ */
+function selectNth(vectors, order, start, end, nth, axis) {
+    let lo = start;
+    let hi = end - 1;
+    while (hi > lo) {
+        const pivot = vectors[order[(lo + hi) >> 1] * 3 + axis];
+        let i = lo;
+        let j = hi;
+        while (i <= j) {
+            while (vectors[order[i] * 3 + axis] < pivot) i++;
+            while (vectors[order[j] * 3 + axis] > pivot) j--;
+            if (i <= j) {
+                const swap = order[i];
+                order[i] = order[j];
+                order[j] = swap;
+                i++;
+                j--;
+            }
+        }
+        if (nth <= j) hi = j;
+        else if (nth >= i) lo = i;
+        else return;
+    }
+}
+
+const LEAF_SIZE = 8;
+
+/**
+ * Create a spatial index over locations with { lat, lng }
+ */
+export function createSpatialIndex(locations) {
+    const size = locations.length;
+    const vectors = new Float64Array(size * 3);
+    locations.forEach((location, i) => vectors.set(toUnitVector(location.lat, location.lng), i * 3));
+    const order = new Uint32Array(size).map((_, i) => i);
+
+    // Flat node storage: axis -1 marks a leaf holding order[start, end)
+    const maxNodes = Math.max(1, 4 * Math.ceil(size / LEAF_SIZE));
+    const nodeAxis = new Int8Array(maxNodes);
+    const nodeSplit = new Float64Array(maxNodes);
+    const nodeStart = new Int32Array(maxNodes);
+    const nodeEnd = new Int32Array(maxNodes);
+    const nodeLeft = new Int32Array(maxNodes);
+    const nodeRight = new Int32Array(maxNodes);
+    let nodeCount = 0;
+
+    // Split on the widest axis at the median until the leaves are small
+    const build = (start, end) => {
+        const node = nodeCount++;
+        nodeStart[node] = start;
+        nodeEnd[node] = end;
+        if (end - start <= LEAF_SIZE) {
+            nodeAxis[node] = -1;
+            return node;
+        }
+
+        let axis = 0;
+        let widest = -1;
+        for (let a = 0; a < 3; a++) {
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = start; i < end; i++) {
+                const value = vectors[order[i] * 3 + a];
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            if (max - min > widest) {
+                widest = max - min;
+                axis = a;
+            }
+        }
+
+        const mid = (start + end) >> 1;
+        selectNth(vectors, order, start, end, mid, axis);
+        nodeAxis[node] = axis;
+        nodeSplit[node] = vectors[order[mid] * 3 + axis];
+        nodeLeft[node] = build(start, mid);
+        nodeRight[node] = build(mid, end);
+        return node;
+    };
+    if (size > 0) build(0, size);
+
+    // Traversal stack shared by every query: node and the squared distance to its split plane
+    const stackNode = new Int32Array(128);
+    const stackBound = new Float64Array(128);
+
+    /**
+     * k nearest locations to the unit vector (x, y, z), closest first; `exclude` is skipped
+     */
+    function nearestToVector(x, y, z, k, exclude) {
+        // Best k so far, sorted by distance
+        const foundIndex = new Int32Array(k);
+        const foundDistance = new Float64Array(k);
+        let count = 0;
+        if (size === 0 || k <= 0) return [];
+
+        let top = 0;
+        stackNode[0] = 0;
+        stackBound[0] = 0;
+        while (top >= 0) {
+            const node = stackNode[top];
+            const bound = stackBound[top];
+            top--;
+            // The far side of a split can only hold closer points if the plane is closer than the kth best
+            if (count === k && bound >= foundDistance[k - 1]) continue;
+
+            if (nodeAxis[node] === -1) {
+                for (let i = nodeStart[node]; i < nodeEnd[node]; i++) {
+                    const candidate = order[i];
+                    if (candidate === exclude) continue;
+                    const dx = vectors[candidate * 3] - x;
+                    const dy = vectors[candidate * 3 + 1] - y;
+                    const dz = vectors[candidate * 3 + 2] - z;
+                    const distance = dx * dx + dy * dy + dz * dz;
+                    if (count === k && distance >= foundDistance[k - 1]) continue;
+
+                    let position = count < k ? count++ : k - 1;
+                    while (position > 0 && foundDistance[position - 1] > distance) {
+                        foundDistance[position] = foundDistance[position - 1];
+                        foundIndex[position] = foundIndex[position - 1];
+                        position--;
+                    }
+                    foundDistance[position] = distance;
+                    foundIndex[position] = candidate;
+                }
+                continue;
+            }
+
+            const axis = nodeAxis[node];
+            const delta = (axis === 0 ? x : axis === 1 ? y : z) - nodeSplit[node];
+            // Push the far side first so the near side is visited first
+            stackNode[++top] = delta < 0 ? nodeRight[node] : nodeLeft[node];
+            stackBound[top] = Math.max(bound, delta * delta);
+            stackNode[++top] = delta < 0 ? nodeLeft[node] : nodeRight[node];
+            stackBound[top] = bound;
+        }
+
+        return Array.from(foundIndex.subarray(0, count));
+    }
+
+    /**
+     * k nearest locations to location `index` (itself excluded), closest first
+     */
+    function nearest(index, k) {
+        return nearestToVector(vectors[index * 3], vectors[index * 3 + 1], vectors[index * 3 + 2], k, index);
+    }
+
+    /**
+     * k nearest locations to any position { lat, lng }, closest first
+     */
+    function nearestTo(lat, lng, k) {
+        const [x, y, z] = toUnitVector(lat, lng);
+        return nearestToVector(x, y, z, k, -1);
+    }
+
+    /**
+     * Locations within `km` of location `index` (itself excluded)
+     */
+    function withinDistance(index, km) {
+        const x = vectors[index * 3];
+        const y = vectors[index * 3 + 1];
+        const z = vectors[index * 3 + 2];
+        const limit = kmToSquaredChord(km);
+        const found = [];
+        if (size === 0) return found;
+
+        let top = 0;
+        stackNode[0] = 0;
+        while (top >= 0) {
+            const node = stackNode[top--];
+            if (nodeAxis[node] === -1) {
+                for (let i = nodeStart[node]; i < nodeEnd[node]; i++) {
+                    const candidate = order[i];
+                    if (candidate === index) continue;
+                    const dx = vectors[candidate * 3] - x;
+                    const dy = vectors[candidate * 3 + 1] - y;
+                    const dz = vectors[candidate * 3 + 2] - z;
+                    if (dx * dx + dy * dy + dz * dz <= limit) found.push(candidate);
+                }
+                continue;
+            }
+            const axis = nodeAxis[node];
+            const delta = (axis === 0 ? x : axis === 1 ? y : z) - nodeSplit[node];
+            if (delta < 0 || delta * delta <= limit) stackNode[++top] = nodeLeft[node];
+            if (delta >= 0 || delta * delta <= limit) stackNode[++top] = nodeRight[node];
+        }
+        return found;
+    }
+
+    return { size, nearest, nearestTo, withinDistance };
+}
@@ -0,0 +1,184 @@
+/**
+ * Connection Strategies Module
+ * Registry of the algorithms that draw the decorative arcs. Each strategy
+ * receives (countryData, enabledCountriesSet, activeCategory, options) and
+ * returns connection objects. A strategy may also provide an async variant
+ * (e.g. one that runs in a Web Worker).
+ *
+ * The strategy in use is, in order: the one picked in the UI, the category's
+ * "connections" setting, settings.connections.strategy.
+ */
+import { settings } from '../settings.js';
+import { categories } from '../data/categories.js';
+import { lookupCountry } from '../data/gazetteer.js';
+import { generateConnections, generateConnectionsAsync, createConnection, buildPairConnections, toLocations, selectPairsInWorker } from './connections.js';
+import { selectSpanningTreePairs } from './pairing.js';
+import { createSpatialIndex } from './spatialIndex.js';
+
+// Registered strategies: id -> { label, generate, generateAsync }
+const strategies = new Map();
+
+// Strategy picked in the UI (null = category / settings default)
+let selectedStrategyId = null;
+
+/**
+ * Register a connection strategy
+ */
+export function registerConnectionStrategy(id, label, generate, generateAsync = null) {
+    strategies.set(id, { label, generate, generateAsync });
+}
+
+/**
+ * List the registered strategies: [{ id, label }]
+ */
+export function getConnectionStrategies() {
+    return [...strategies.entries()].map(([id, strategy]) => ({ id, label: strategy.label }));
+}
+
+/**
+ * Get the strategy picked in the UI (null = automatic)
+ */
+export function getSelectedStrategy() {
+    return selectedStrategyId;
+}
+
+/**
+ * Pick a strategy from the UI (null = back to the category / settings default)
+ */
+export function setSelectedStrategy(id) {
+    selectedStrategyId = id;
+}
+
+/**
+ * Normalize a category "connections" setting: "mst" or { strategy: "hub", hubs: [...] }
+ */
+function getCategoryStrategyOptions(activeCategory) {
+    const setting = activeCategory && categories[activeCategory] ? categories[activeCategory].connections : undefined;
+    if (!setting) return {};
+    return typeof setting === 'string' ? { strategy: setting } : setting;
+}
+
+/**
+ * Resolve the strategy id and options for the active category
+ */
+export function resolveConnectionStrategy(activeCategory) {
+    const categoryOptions = getCategoryStrategyOptions(activeCategory);
+    const id = selectedStrategyId || categoryOptions.strategy || settings.connections.strategy;
+    const options = {
+        hubs: categoryOptions.hubs || settings.connections.hubs,
+        k: categoryOptions.k || settings.connections.k
+    };
+
+    if (!strategies.has(id)) {
+        console.warn(`Unknown connection strategy "${id}", falling back to random`);
+        return { id: 'random', options };
+    }
+    return { id, options };
+}
+
+/**
+ * Generate connections with the strategy resolved for the active category
+ */
+export function generateStrategyConnections(countryData, enabledCountriesSet, activeCategory) {
+    const { id, options } = resolveConnectionStrategy(activeCategory);
+    const connections = strategies.get(id).generate(countryData, enabledCountriesSet, activeCategory, options);
+    console.log(`Connection strategy "${id}": ${connections.length} connections`);
+    return connections;
+}
+
+/**
+ * Generate connections with the strategy resolved for the active category,
+ * using the strategy's async variant when it has one
+ */
+export async function generateStrategyConnectionsAsync(countryData, enabledCountriesSet, activeCategory) {
+    const { id, options } = resolveConnectionStrategy(activeCategory);
+    const strategy = strategies.get(id);
+    const connections = strategy.generateAsync
+        ? await strategy.generateAsync(countryData, enabledCountriesSet, activeCategory, options)
+        : strategy.generate(countryData, enabledCountriesSet, activeCategory, options);
+    console.log(`Connection strategy "${id}": ${connections.length} connections`);
+    return connections;
+}
+
+/**
+ * Hub-and-spoke: every country connects to its nearest hub, hubs connect to each other.
+ * Hubs come from options.hubs (names or ISO codes); without any enabled hub the
+ * country with the most Supersiders becomes the hub.
+ */
+function generateHubConnections(countryData, enabledCountriesSet, activeCategory, options) {
+    const activeCountries = countryData.filter(country => enabledCountriesSet.has(country.name));
+    if (activeCountries.length < 2) return [];
+
+    const hubNames = new Set((options.hubs || []).map(hub => {
+        const entry = lookupCountry(hub);
+        return entry ? entry.name : hub;
+    }));
+    let hubs = activeCountries.filter(country => hubNames.has(country.name));
+    if (hubs.length === 0) {
+        hubs = [activeCountries.reduce((largest, country) => country.count > largest.count ? country : largest)];
+    }
+
+    const connections = [];
+    hubs.forEach((hub, i) => {
+        hubs.slice(i + 1).forEach(otherHub => connections.push(createConnection(hub, otherHub, activeCategory)));
+    });
+
+    // Nearest hub from a spatial index over the hubs (linear in countries, however many hubs)
+    const hubIndex = createSpatialIndex(hubs.map(hub => hub.coordinates));
+    const hubSet = new Set(hubs);
+    activeCountries.filter(country => !hubSet.has(country)).forEach(country => {
+        const [nearestHub] = hubIndex.nearestTo(country.coordinates.lat, country.coordinates.lng, 1);
+        connections.push(createConnection(hubs[nearestHub], country, activeCategory));
+    });
+
+    return connections;
+}
+
+/**
+ * k-nearest neighbors: every country connects to its k closest countries
+ * (a pair found from both sides is drawn once)
+ */
+function generateNearestConnections(countryData, enabledCountriesSet, activeCategory, options) {
+    const activeCountries = countryData.filter(country => enabledCountriesSet.has(country.name));
+    const k = Math.max(1, options.k || 1);
+    const pairs = new Set();
+    const connections = [];
+
+    const index = createSpatialIndex(activeCountries.map(country => country.coordinates));
+
+    activeCountries.forEach((country, i) => {
+        index.nearest(i, k).forEach(j => {
+            const other = activeCountries[j];
+            const key = [country.name, other.name].sort().join('|');
+            if (pairs.has(key)) return;
+            pairs.add(key);
+            connections.push(createConnection(country, other, activeCategory));
+        });
+    });
+
+    return connections;
+}
+
+/**
+ * Minimum spanning tree: connects every country with the least total arc length
+ * (see selectSpanningTreePairs)
+ */
+function generateSpanningTreeConnections(countryData, enabledCountriesSet, activeCategory) {
+    const activeCountries = countryData.filter(country => enabledCountriesSet.has(country.name));
+    return buildPairConnections(activeCountries, selectSpanningTreePairs(toLocations(activeCountries)), activeCategory);
+}
+
+/**
+ * Minimum spanning tree in the pairing worker for large datasets
+ */
+async function generateSpanningTreeConnectionsAsync(countryData, enabledCountriesSet, activeCategory) {
+    const activeCountries = countryData.filter(country => enabledCountriesSet.has(country.name));
+    const pairs = await selectPairsInWorker('mst', toLocations(activeCountries));
+    if (!pairs) return generateSpanningTreeConnections(countryData, enabledCountriesSet, activeCategory);
+    return buildPairConnections(activeCountries, pairs, activeCategory);
+}
+
+registerConnectionStrategy('random', 'Random', generateConnections, generateConnectionsAsync);
+registerConnectionStrategy('hub', 'Hub and spoke', generateHubConnections);
+registerConnectionStrategy('nearest', 'Nearest neighbors', generateNearestConnections);
+registerConnectionStrategy('mst', 'Spanning tree', generateSpanningTreeConnections, generateSpanningTreeConnectionsAsync);
@@ -0,0 +1,44 @@
+/**
+ * Views Module
+ * How countries are represented on the globe:
+ *   points     - cylinders at the country centroid, split into cities when zoomed in
+ *   choropleth - country polygons filled by headcount (see choropleth.js)
+ *   hexbin     - locations binned into hexagons weighted by headcount (see hexbin.js)
+ */
+import { getDisplayPoints, expandCityPoints } from './clustering.js';
+import { splitChoroplethPoints } from './choropleth.js';
+
+export const VIEW_MODES = ['points', 'choropleth', 'hexbin'];
+
+// Active view mode
+let viewMode = 'points';
+
+/**
+ * Get the view mode
+ */
+export function getViewMode() {
+    return viewMode;
+}
+
+/**
+ * Set the view mode (one of VIEW_MODES)
+ */
+export function setViewMode(mode) {
+    viewMode = mode;
+}
+
+/**
+ * Split country points into the data of each layer for the active view
+ * Returns { points, polygons, hexPoints }
+ */
+export function getViewLayers(countryPoints) {
+    if (viewMode === 'choropleth') {
+        const { points, polygons } = splitChoroplethPoints(countryPoints);
+        return { points: getDisplayPoints(points), polygons, hexPoints: [] };
+    }
+    // Hexagons bin city-level locations where the data has them, whatever the zoom
+    if (viewMode === 'hexbin') {
+        return { points: [], polygons: [], hexPoints: expandCityPoints(countryPoints) };
+    }
+    return { points: getDisplayPoints(countryPoints), polygons: [], hexPoints: [] };
+}
@@ -3,14 +3,30 @@
  * Coordinates all modules and initializes the application
  */
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { countryData } from './data/countries.js';
-import { categories } from './data/categories.js';
-import { generateConnections } from './globe/connections.js';
-import { initializeGlobe, getPointSize } from './globe/config.js';
-import { initializeOrbitersLoop, addOrbitingAstronaut, clearOrbiters } from './astronauts/astronauts.js';
-import { initializeLoadingSequence } from './animations/animations.js';
-import { initializeTooltip, showTooltip, hideTooltipDelayed } from './ui/tooltip.js';
+import { settings } from './settings.js';
+import { countryData, setCountryData } from './data/countries.js';
+import { loadDataset } from './data/loader.js';
+import { applyFacets } from './data/breakdowns.js';
+import { edgeData, loadEdges, setEdgeData } from './data/edges.js';
+import { boundaryData, loadBoundaries, setBoundaryData } from './data/boundaries.js';
+import { maskCountryData, toPrivatePoints, formatCount } from './data/privacy.js';
+import { categories, loadCategoryDefinitions, setCategoryDefinitions, refreshCategories } from './data/categories.js';
+import { generateEdgeConnections, getConnectionSeed, getArcMode, setArcMode } from './globe/connections.js';
+import { prepareArcs, updateArcs, showBundledPaths, clearBundledPaths } from './globe/arcs.js';
+import { bundleConnectionsAsync, shouldBundle, getBundlingStrength, setBundlingStrength } from './globe/bundling.js';
+import { getRouteMidpoint } from './globe/routing.js';
+import { generateStrategyConnectionsAsync, resolveConnectionStrategy, getConnectionStrategies, getSelectedStrategy, setSelectedStrategy } from './globe/strategies.js';
+import { initializeGlobe, getPointSize, getPointColor, fitScales, focusedConnection, setFocusedConnection } from './globe/config.js';
+import { updateClusterState } from './globe/clustering.js';
+import { VIEW_MODES, getViewMode, setViewMode, getViewLayers } from './globe/views.js';
+import { getHexResolution, getHexResolutionSetting, setHexResolutionSetting } from './globe/hexbin.js';
+import { prepareMarkers, addMarker, clearMarkers, initializeMarkerPicking } from './markers/markers.js';
+import { initializeLoadingSequence, animatePointColors, animateCountryEntrance } from './animations/animations.js';
+import { initializeTooltip, showTooltip, showArcTooltip, showHexTooltip, hideTooltipDelayed } from './ui/tooltip.js';
+import { initializeTimeline } from './ui/timeline.js';
+import { populateFacetPanel } from './ui/facets.js';
+import { renderLegend } from './ui/legend.js';
+import { showStartupFailure } from './ui/fallback.js';
 import {
     initializeEnabledCountries,
     enabledCountries,
@@ -23,7 +39,18 @@ import {
     populateCountryList,
     selectAllCountries,
     deselectAllCountries,
-    updateInfoPanel
+    updateInfoPanel,
+    showDatasetError,
+    syncEnabledCountries,
+    showConnectionInfo,
+    hideConnectionInfo,
+    initializeArcModeToggle,
+    initializeStrategySelect,
+    setStrategySelectEnabled,
+    initializeBundlingControl,
+    initializeViewModeToggle,
+    initializeHexResolutionSelect,
+    setHexResolutionRowVisible
 } from './ui/ui.js';
 
 // Make THREE available globally
@@ -32,103 +59,442 @@ window.THREE = THREE;
 // Initialize the globe variable
 let myGlobe;
 let connections;
+let arcRequestId = 0;
+let markerRequestId = 0;
+let snapshots = [];
+let currentPoints = []; // country-level points; cities are expanded from these by zoom level
+
+// Point objects keyed by country name. globe.gl binds its meshes to the data
+// objects, so reusing them lets it tween sizes instead of re-growing every point.
+const pointCache = new Map();
+
+/**
+ * Country data as displayed: counts narrowed down by the active facets,
+ * small counts flagged when privacy mode is on
+ */
+function getEffectiveCountryData() {
+    return maskCountryData(applyFacets(countryData));
+}
+
+/**
+ * Countries that have someone to show (facets can bring a count down to 0)
+ */
+function getPopulatedCountryData(effectiveCountryData) {
+    return effectiveCountryData.filter(country => country.count > 0);
+}
+
+/**
+ * Records drawn on the globe for the enabled countries
+ * (privacy mode may merge or move the small ones)
+ */
+function getPointCountryData(populatedCountryData) {
+    return toPrivatePoints(populatedCountryData.filter(country => enabledCountries.has(country.name)));
+}
+
+/**
+ * Fit the color and size scales to the counts on display and redraw the legend
+ */
+function refreshScales(effectiveCountryData) {
+    fitScales(getPopulatedCountryData(effectiveCountryData));
+    renderLegend(getActiveCategory());
+}
+
+/**
+ * Generate connections between the drawn points: real edges or decorative arcs
+ * (large random arc sets are generated in a Web Worker)
+ */
+async function generatePointConnections(pointCountryData) {
+    if (getArcMode() === 'real') {
+        return generateEdgeConnections(edgeData, pointCountryData, getActiveCategory());
+    }
+    return generateStrategyConnectionsAsync(pointCountryData, new Set(pointCountryData.map(country => country.name)), getActiveCategory());
+}
+
+/**
+ * Regenerate the arcs for the drawn points; only added or removed arcs animate.
+ * A result that arrives after a newer request started is dropped, and a failed
+ * generation keeps the arcs on screen.
+ */
+function refreshArcs(pointCountryData) {
+    const requestId = ++arcRequestId;
+    generatePointConnections(pointCountryData).then(nextConnections => {
+        if (requestId !== arcRequestId) return;
+        return drawConnections(nextConnections, requestId);
+    }).catch(e => {
+        console.error('Could not update the arcs, keeping the current ones:', e);
+    });
+}
+
+/**
+ * Draw connections as arcs, or as bundled paths when edge bundling is on
+ * (bundled in a Web Worker; paths that arrive after a newer request are dropped,
+ * and a failed bundling falls back to plain arcs)
+ */
+async function drawConnections(nextConnections, requestId = ++arcRequestId) {
+    if (shouldBundle(nextConnections)) {
+        try {
+            const paths = await bundleConnectionsAsync(nextConnections);
+            if (requestId !== arcRequestId) return;
+            showBundledPaths(myGlobe, paths);
+            connections = nextConnections;
+            return;
+        } catch (e) {
+            if (requestId !== arcRequestId) return;
+            console.error('Edge bundling failed, drawing plain arcs:', e);
+        }
+    }
+    clearBundledPaths(myGlobe);
+    connections = updateArcs(myGlobe, nextConnections);
+}
+
+/**
+ * Bundling strength picked in the UI: re-bundle the connections already drawn
+ */
+function handleBundlingChange(strength) {
+    setBundlingStrength(strength);
+    drawConnections(connections);
+}
+
+/**
+ * Switch between real edges and decorative arcs
+ */
+function handleArcModeChange(mode) {
+    setArcMode(mode);
+    setStrategySelectEnabled(mode === 'decorative');
+    dismissConnectionInfo();
+    refreshArcs(currentPoints);
+    console.log(`Arc mode: ${mode}`);
+}
+
+/**
+ * Recolor points and arcs after the focused connection changed
+ */
+function refreshFocusColors() {
+    myGlobe.pointColor(myGlobe.pointColor());
+    myGlobe.arcColor(myGlobe.arcColor());
+    myGlobe.pathColor(myGlobe.pathColor());
+    myGlobe.polygonCapColor(myGlobe.polygonCapColor());
+    myGlobe.hexTopColor(myGlobe.hexTopColor());
+}
+
+/**
+ * Open the detail panel for an arc; its endpoints stay lit and everything else dims
+ */
+function focusConnection(arc) {
+    setFocusedConnection(arc);
+    showConnectionInfo(arc);
+    refreshFocusColors();
+}
+
+/**
+ * Close the detail panel and undim the globe
+ */
+function dismissConnectionInfo() {
+    hideConnectionInfo();
+    if (!focusedConnection) return;
+    setFocusedConnection(null);
+    refreshFocusColors();
+}
+
+/**
+ * Arc pattern picked in the UI (null = follow the category)
+ */
+function handleStrategyChange(strategyId) {
+    setSelectedStrategy(strategyId);
+    refreshArcs(currentPoints);
+}
+
+/**
+ * Build points data for the enabled countries, reusing cached point objects
+ */
+function buildPointsData(enabledCountryData) {
+    const activeCategory = getActiveCategory();
+    const categoryColor = activeCategory && categories[activeCategory] ? categories[activeCategory].color : null;
+    
+    return enabledCountryData.map(country => {
+        if (!pointCache.has(country.name)) {
+            pointCache.set(country.name, {});
+        }
+        // Add category color to country data if a category is active
+        return Object.assign(pointCache.get(country.name), country, { categoryColor, transitionColor: null });
+    });
+}
+
+/**
+ * Draw country points at the current zoom level; in the choropleth view countries
+ * with a polygon are filled instead, in the hexbin view locations are binned into
+ * hexagons. Returns the points drawn.
+ */
+function drawPoints(countryPoints) {
+    const { points, polygons, hexPoints } = getViewLayers(countryPoints);
+    myGlobe.pointsData(points);
+    myGlobe.polygonsData(polygons);
+    myGlobe.hexBinPointsData(hexPoints);
+    return points;
+}
+
+/**
+ * Rebin the hexagons at the resolution for a camera altitude (no-op when unchanged)
+ */
+function refreshHexResolution(altitude) {
+    const resolution = getHexResolution(altitude);
+    if (resolution !== myGlobe.hexBinResolution()) myGlobe.hexBinResolution(resolution);
+}
+
+/**
+ * Hexagon size picked in the UI ('auto' follows the zoom)
+ */
+function handleHexResolutionChange(resolution) {
+    setHexResolutionSetting(resolution);
+    refreshHexResolution(myGlobe.pointOfView().altitude);
+}
+
+/**
+ * Switch between the points, choropleth and hexbin views (boundaries load on first use)
+ */
+async function handleViewModeChange(mode) {
+    if (mode === 'choropleth' && boundaryData.size === 0) {
+        try {
+            setBoundaryData(await loadBoundaries(settings.choropleth.url));
+        } catch (e) {
+            console.error('Failed to load country boundaries, staying on points:', e);
+            return;
+        }
+    }
+    setViewMode(mode);
+    setHexResolutionRowVisible(mode === 'hexbin');
+    drawPoints(currentPoints);
+    console.log(`View mode: ${mode}`);
+}
+
+/**
+ * Replace the 3D markers for the current selection: the active category's
+ * "marker" (e.g. lone-wolf astronauts) on each of its drawn countries
+ */
+async function refreshMarkers(enabledCountryData) {
+    const requestId = ++markerRequestId;
+    try {
+        clearMarkers(myGlobe);
+
+        const activeCategory = getActiveCategory();
+        const category = activeCategory ? categories[activeCategory] : null;
+        if (!category || !category.marker) return;
+        
+        // Shared resources load once (a model, a texture); skip if the selection changed meanwhile
+        const prepared = await prepareMarkers(category, myGlobe);
+        if (!prepared || requestId !== markerRequestId) return;
+        
+        // Privacy mode: markers would single out small countries, masked ones get none
+        const members = new Set(category.countries);
+        const markedCountries = enabledCountryData.filter(country => members.has(country.name) && !country.masked);
+        markedCountries.forEach(country => addMarker(country, myGlobe, getPointSize, prepared));
+        
+        console.log(`Markers (${typeof category.marker === 'string' ? category.marker : category.marker.type}) for ${markedCountries.length} countries`);
+    } catch (e) {
+        console.error('Error managing category markers:', e, e.stack);
+    }
+}
 
 /**
  * Update visualization with smooth transitions
  */
 function updateVisualization() {
-    const activeCategory = getActiveCategory();
-    const enabledCountryData = countryData.filter(country => enabledCountries.has(country.name));
+    const effectiveCountryData = getEffectiveCountryData();
+    refreshScales(effectiveCountryData);
+    const enabledCountryData = getPointCountryData(getPopulatedCountryData(effectiveCountryData));
+    const enrichedCountryData = buildPointsData(enabledCountryData);
+    currentPoints = enrichedCountryData;
+    
+    // Points tween to their new size in place, arcs only animate where they changed
+    drawPoints(enrichedCountryData);
+    refreshArcs(enabledCountryData);
     
-    // Add category color to country data if a category is active
-    const enrichedCountryData = enabledCountryData.map(country => ({
-        ...country,
-        categoryColor: activeCategory && categories[activeCategory] ? categories[activeCategory].color : null
-    }));
+    updateInfoPanel(effectiveCountryData);
     
-    connections = generateConnections(countryData, enabledCountries, activeCategory);
+    console.log(`Updated visualization: ${enabledCountryData.length} countries, activeCategory: ${getActiveCategory()}`);
+    
+    // Category markers (lone-wolf astronauts, ...)
+    refreshMarkers(enabledCountryData);
+}
+
+/**
+ * Switch to a timeline snapshot: points tween to their new size and color
+ * in place, newly entered countries get an entrance ripple
+ */
+function applySnapshot(snapshot) {
+    const previousNames = new Set(countryData.map(country => country.name));
+    const previousColors = new Map(
+        [...pointCache.entries()].map(([name, point]) => [name, getPointColor(point.count, point.categoryColor)])
+    );
     
-    // SMOOTH FADE OUT: Primero vaciar los datos para que desaparezcan suavemente
-    myGlobe.pointsData([]);
-    myGlobe.arcsData([]);
+    setCountryData(snapshot.countries);
+    refreshCategories(countryData);
+    syncEnabledCountries(countryData, previousNames);
     
-    // SMOOTH FADE IN: Después de un pequeño delay, mostrar los nuevos datos
-    setTimeout(() => {
-        myGlobe.pointsData(enrichedCountryData);
-        myGlobe.arcsData(connections);
-    }, 600); // Esperar a que termine la transición de desaparición
+    const effectiveCountryData = getEffectiveCountryData();
+    refreshScales(effectiveCountryData);
+    const enabledCountryData = getPointCountryData(getPopulatedCountryData(effectiveCountryData));
+    currentPoints = buildPointsData(enabledCountryData);
+    const points = drawPoints(currentPoints);
+    animatePointColors(myGlobe, points, previousColors, settings.timeline.stepDuration * 0.75);
+    animateCountryEntrance(
+        myGlobe,
+        enabledCountryData.filter(country => !previousNames.has(country.name)),
+        settings.timeline.entranceDuration
+    );
     
-    updateInfoPanel(countryData);
+    refreshArcs(enabledCountryData);
     
-    console.log(`Updated visualization: ${enabledCountryData.length} countries, activeCategory: ${getActiveCategory()}`);
+    populateCategoryList(effectiveCountryData, myGlobe, updateVisualization);
+    populateCountryList(effectiveCountryData, myGlobe, updateVisualization);
+    populateFacetPanel(countryData, handleFacetChange);
+    updateInfoPanel(effectiveCountryData);
+    refreshMarkers(enabledCountryData);
     
-    // Handle astronaut orbiters
-    setTimeout(() => {
-        try {
-            clearOrbiters(myGlobe);
-
-            if (getActiveCategory() === 'lone_wolf') {
-                const loneWolfCountries = enabledCountryData.filter(c => c.count === 1);
-                console.log('Lone wolf mode active! Found', loneWolfCountries.length, 'lone wolf countries');
-                
-                loneWolfCountries.forEach(c => {
-                    console.log('Attempting to add astronaut for:', c.name);
-                    addOrbitingAstronaut(c, myGlobe, THREE, getPointSize);
-                });
-                
-                console.log('Total astronauts in scene:', loneWolfCountries.length);
-            }
-        } catch (e) {
-            console.error('Error managing astronaut orbiters:', e, e.stack);
-        }
-    }, 700); // Esperar a que aparezcan los nuevos puntos
+    console.log(`Timeline snapshot ${snapshot.date}: ${enabledCountryData.length} countries`);
+}
+
+/**
+ * Facets changed: recompute effective counts everywhere
+ */
+function handleFacetChange() {
+    const effectiveCountryData = getEffectiveCountryData();
+    populateCategoryList(effectiveCountryData, myGlobe, updateVisualization);
+    populateCountryList(effectiveCountryData, myGlobe, updateVisualization);
+    updateVisualization();
 }
 
 /**
  * Initialize the application
  */
-function initializeApp() {
+async function initializeApp() {
     console.log('Initializing Supersiders Globally application...');
     
+    // Load the headcount dataset and category rules before anything touches them
+    try {
+        const [dataset, categoryDefinitions, edges] = await Promise.all([
+            loadDataset(settings.dataset.url),
+            loadCategoryDefinitions(settings.categories.url),
+            settings.edges.url ? loadEdges(settings.edges.url) : []
+        ]);
+        setCountryData(dataset.countries);
+        snapshots = dataset.snapshots;
+        setCategoryDefinitions(categoryDefinitions);
+        refreshCategories(countryData);
+        setEdgeData(edges);
+        if (edges.length > 0) setArcMode(settings.edges.defaultMode);
+    } catch (e) {
+        console.error('Failed to load dataset:', e);
+        showDatasetError(e);
+        return;
+    }
+    
     // Initialize enabled countries
     initializeEnabledCountries(countryData);
     
-    // Initialize the globe
-    myGlobe = initializeGlobe(document.getElementById('globeViz'));
+    // Initialize the globe (throws when the browser cannot create a WebGL context)
+    try {
+        myGlobe = initializeGlobe(document.getElementById('globeViz'));
+    } catch (e) {
+        showStartupFailure('The globe could not be created.', [e.message]);
+        return;
+    }
     
     // Generate initial connections
-    connections = generateConnections(countryData, enabledCountries, getActiveCategory());
-    
-    // Initialize astronaut system
-    initializeOrbitersLoop();
+    const effectiveCountryData = getEffectiveCountryData();
+    refreshScales(effectiveCountryData);
+    const pointCountryData = getPointCountryData(getPopulatedCountryData(effectiveCountryData));
+    connections = prepareArcs(await generatePointConnections(pointCountryData));
     
     // Initialize tooltip
     initializeTooltip();
     
     // Initialize UI
     initializeUI();
-    populateCategoryList(countryData, myGlobe, updateVisualization);
-    populateCountryList(countryData, myGlobe, updateVisualization);
-    updateInfoPanel(countryData);
+    populateCategoryList(effectiveCountryData, myGlobe, updateVisualization);
+    populateCountryList(effectiveCountryData, myGlobe, updateVisualization);
+    populateFacetPanel(countryData, handleFacetChange);
+    updateInfoPanel(effectiveCountryData);
+    initializeTimeline(snapshots, applySnapshot);
+    initializeStrategySelect(getConnectionStrategies(), getSelectedStrategy, handleStrategyChange);
+    setStrategySelectEnabled(getArcMode() === 'decorative');
+    if (edgeData.length > 0) initializeArcModeToggle(getArcMode, handleArcModeChange);
+    initializeBundlingControl(getBundlingStrength, handleBundlingChange);
+    initializeViewModeToggle(VIEW_MODES, getViewMode, handleViewModeChange);
+    const { minResolution, maxResolution } = settings.hexbin;
+    initializeHexResolutionSelect(
+        Array.from({ length: maxResolution - minResolution + 1 }, (_, i) => minResolution + i),
+        getHexResolutionSetting,
+        handleHexResolutionChange
+    );
     
     // Setup globe interactions
     setupGlobeInteractions();
     
     // Start loading sequence
-    initializeLoadingSequence(myGlobe, countryData, connections);
-    
-    // Regenerate connections periodically
-    setInterval(() => {
-        if (enabledCountries.size > 0) {
-            connections = generateConnections(countryData, enabledCountries, getActiveCategory());
-            myGlobe.arcsData(connections);
-            console.log('Connections regenerated automatically');
-        }
-    }, 8000);
+    currentPoints = buildPointsData(pointCountryData);
+    initializeLoadingSequence(myGlobe, currentPoints, connections, () => {
+        // Edge bundling on from the start: swap the intro arcs for bundled paths
+        if (getBundlingStrength() > 0) drawConnections(connections);
+        // Another view first: the intro grows the points, then they give way to it
+        if (settings.choropleth.defaultView !== 'points') handleViewModeChange(settings.choropleth.defaultView);
+    });
+    
+    // Regenerate random connections periodically (a seeded arc set, the other strategies and real edges stay fixed).
+    // Paused while edge bundling is on: every new arc set would have to be bundled again.
+    if (getConnectionSeed() === null) {
+        setInterval(() => {
+            if (enabledCountries.size > 0 && getArcMode() === 'decorative' && getBundlingStrength() === 0 &&
+                resolveConnectionStrategy(getActiveCategory()).id === 'random') {
+                refreshArcs(currentPoints);
+                console.log('Connections regenerated automatically');
+            }
+        }, 8000);
+    } else {
+        console.log(`Connections seeded with "${getConnectionSeed()}"`);
+    }
     
     console.log('Application initialized successfully');
 }
 
+/**
+ * Point click: show the country overlay and center the globe on it
+ */
+function handlePointClick(point) {
+    console.log('Clicked country:', point.name, 'Count:', formatCount(point));
+    showCountryInfo(point);
+    myGlobe.pointOfView({
+        lat: point.coordinates.lat,
+        lng: point.coordinates.lng,
+        altitude: 1.5
+    }, 1000);
+}
+
+/**
+ * Connection click: open its detail panel and center the globe between both countries
+ */
+function handleConnectionClick(arc) {
+    console.log('Clicked connection:', arc.startCountry, '↔', arc.endCountry);
+    focusConnection(arc);
+    const midpoint = getRouteMidpoint(arc.startLat, arc.startLng, arc.endLat, arc.endLng);
+    myGlobe.pointOfView({
+        lat: midpoint.lat,
+        lng: midpoint.lng,
+        altitude: 2.0
+    }, 1000);
+}
+
+/**
+ * Hexagon click: zoom in on it, so finer hexagons split it up (auto resolution)
+ */
+function handleHexClick(hex) {
+    myGlobe.pointOfView({
+        lat: hex.center.lat,
+        lng: hex.center.lng,
+        altitude: Math.max(myGlobe.pointOfView().altitude / 2, 0.3)
+    }, 1000);
+}
+
 /**
  * Setup globe interactions (hover, click)
  */
@@ -142,38 +508,86 @@ function setupGlobeInteractions() {
         }
     });
     
-    // Point click interaction
-    myGlobe.onPointClick((point, event) => {
-        console.log('Clicked country:', point.name, 'Count:', point.count);
-        showCountryInfo(point);
-        myGlobe.pointOfView({
-            lat: point.coordinates.lat,
-            lng: point.coordinates.lng,
-            altitude: 1.5
-        }, 1000);
+    // Arc hover interaction
+    myGlobe.onArcHover(arc => {
+        if (arc) {
+            showArcTooltip(arc);
+        } else {
+            hideTooltipDelayed();
+        }
+    });
+    
+    // Bundled paths behave like the arcs they replace
+    myGlobe.onPathHover(path => {
+        if (path) {
+            showArcTooltip(path.connection);
+        } else {
+            hideTooltipDelayed();
+        }
     });
     
+    // Split/merge city-level locations and resize hexagons as the camera altitude changes
+    myGlobe.onZoom(pov => {
+        if (updateClusterState(pov.altitude)) {
+            drawPoints(currentPoints);
+        }
+        refreshHexResolution(pov.altitude);
+    });
+    
+    // Country polygons (choropleth view) behave like the points they replace
+    myGlobe.onPolygonHover(polygon => {
+        if (polygon) {
+            showTooltip(polygon.country);
+        } else {
+            hideTooltipDelayed();
+        }
+    });
+    
+    // Hexagons (hexbin view) list the countries they hold
+    myGlobe.onHexHover(hex => {
+        if (hex) {
+            showHexTooltip(hex);
+        } else {
+            hideTooltipDelayed();
+        }
+    });
+    
+    // Point click interaction
+    myGlobe.onPointClick(handlePointClick);
+    myGlobe.onPolygonClick(polygon => handlePointClick(polygon.country));
+    myGlobe.onHexClick(handleHexClick);
+    
     // Arc click interaction
-    myGlobe.onArcClick((arc, event) => {
-        console.log('Clicked connection:', arc.startCountry, '↔', arc.endCountry);
-        const midLat = (arc.startLat + arc.endLat) / 2;
-        const midLng = (arc.startLng + arc.endLng) / 2;
-        myGlobe.pointOfView({
-            lat: midLat,
-            lng: midLng,
-            altitude: 2.0
-        }, 1000);
+    myGlobe.onArcClick(handleConnectionClick);
+    myGlobe.onPathClick(path => handleConnectionClick(path.connection));
+    
+    // Category markers (e.g. lone-wolf astronauts) stand for the country they mark
+    initializeMarkerPicking(myGlobe, {
+        onHover: country => {
+            if (country) {
+                showTooltip(country);
+            } else {
+                hideTooltipDelayed();
+            }
+        },
+        onClick: handlePointClick
+    });
+    
+    // Escape closes the connection detail panel
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape') dismissConnectionInfo();
     });
 }
 
 /**
  * Make functions global for onclick handlers
  */
-window.selectAllCountries = () => selectAllCountries(countryData, myGlobe, updateVisualization);
-window.deselectAllCountries = () => deselectAllCountries(countryData, myGlobe, updateVisualization);
+window.selectAllCountries = () => selectAllCountries(getEffectiveCountryData(), myGlobe, updateVisualization);
+window.deselectAllCountries = () => deselectAllCountries(getEffectiveCountryData(), myGlobe, updateVisualization);
 window.updateVisualization = updateVisualization;
 window.toggleCountryPanel = toggleCountryPanel;
 window.hideCountryInfo = hideCountryInfo;
+window.hideConnectionInfo = dismissConnectionInfo;
 
 // Initialize app when DOM is ready
 if (document.readyState === 'loading') {
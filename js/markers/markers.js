@@ -0,0 +1,248 @@
+/**
+ * Markers Module
+ * 3D markers for the countries of the active category, declared per category
+ * with "marker" in data/categories.json: an orbiting model (the lone-wolf
+ * astronauts), a floating flag, a pulsing ring or a billboard icon (see types.js;
+ * more can be added with registerMarkerType).
+ *
+ * Markers of one category share their geometries, materials and textures, which
+ * are disposed when the markers are cleared; the animation loop only runs while
+ * markers exist. Markers can be hovered and clicked (see initializeMarkerPicking).
+ */
+import * as THREE from 'three';
+import { settings } from '../settings.js';
+import { builtInMarkerTypes } from './types.js';
+
+// Marker types by name
+const markerTypes = new Map(Object.entries(builtInMarkerTypes));
+
+// Markers on the globe by country name: { anchor, instance, country }
+export const activeMarkers = new Map();
+
+// requestAnimationFrame id of the marker loop (null while stopped)
+let loopFrameId = null;
+
+// Time of the previous animation frame (seconds), for model animations
+let lastFrameTime = null;
+
+// Marker under the pointer (null when none)
+let hoveredMarker = null;
+
+// Pointer movement (px) between press and release above which a click counts as a drag
+const DRAG_THRESHOLD = 5;
+
+/**
+ * Register a marker type (see types.js for the shape of a type)
+ */
+export function registerMarkerType(name, type) {
+    markerTypes.set(name, type);
+}
+
+/**
+ * Prepare a category's markers: resolve its "marker" setting ("ring" or
+ * { type: "orbiter", ... }) against the type defaults and load shared resources.
+ * Resolves to { type, options, resources, color } or null (no marker, unknown type).
+ */
+export async function prepareMarkers(category, globe) {
+    const setting = category && category.marker;
+    if (!setting) return null;
+
+    const { type: typeName, ...overrides } = typeof setting === 'string' ? { type: setting } : setting;
+    const type = markerTypes.get(typeName);
+    if (!type) {
+        console.warn(`Unknown marker type "${typeName}", no markers shown`);
+        return null;
+    }
+
+    const options = { ...(settings.markers[typeName] || {}), ...overrides };
+    const context = { color: category.color, renderer: globe.renderer() };
+    const resources = type.prepare ? await type.prepare(options, context) : {};
+    return { type, options, resources, color: category.color };
+}
+
+/**
+ * Add a marker for a country (prepared: the result of prepareMarkers)
+ */
+export function addMarker(country, globe, getPointSize, prepared) {
+    if (!globe || !country || !country.name || !prepared) return;
+    if (activeMarkers.has(country.name)) return;
+
+    const scene = globe.scene();
+    if (!scene) {
+        console.error('Could not access globe scene');
+        return;
+    }
+
+    // Anchor on the surface under the point, local +y along the surface normal
+    const R = globe.getGlobeRadius();
+    const phi = country.coordinates.lat * Math.PI / 180;
+    const theta = country.coordinates.lng * Math.PI / 180;
+    const normal = new THREE.Vector3(Math.cos(phi) * Math.sin(theta), Math.sin(phi), Math.cos(phi) * Math.cos(theta));
+
+    const anchor = new THREE.Object3D();
+    anchor.position.copy(normal).multiplyScalar(R);
+    anchor.lookAt(0, 0, 0);
+    anchor.rotateX(-Math.PI / 2);
+
+    const instance = prepared.type.create(prepared.options, prepared.resources, {
+        country,
+        color: prepared.color,
+        pointHeight: R * getPointSize(country.count) * 0.2
+    });
+    anchor.add(instance.object);
+    scene.add(anchor);
+
+    activeMarkers.set(country.name, { anchor, instance, country });
+    startMarkersLoop();
+}
+
+/**
+ * Collect the GPU resources of an object (geometries, materials, textures, skeletons)
+ */
+function collectResources(object, resources) {
+    object.traverse(child => {
+        if (child.geometry) resources.add(child.geometry);
+        if (child.isSkinnedMesh && child.skeleton) resources.add(child.skeleton);
+        const materials = Array.isArray(child.material) ? child.material : child.material ? [child.material] : [];
+        materials.forEach(material => {
+            resources.add(material);
+            Object.values(material).forEach(value => {
+                if (value && value.isTexture) resources.add(value);
+            });
+        });
+    });
+}
+
+/**
+ * Remove all current markers
+ */
+export function clearMarkers(globe) {
+    if (activeMarkers.size > 0) console.log('Clearing', activeMarkers.size, 'markers');
+    const scene = globe.scene();
+    const resources = new Set();
+    activeMarkers.forEach(({ anchor, instance }) => {
+        if (instance.mixer) {
+            instance.mixer.stopAllAction();
+            instance.mixer.uncacheRoot(instance.mixer.getRoot());
+        }
+        collectResources(anchor, resources);
+        if (scene) scene.remove(anchor);
+    });
+    activeMarkers.clear();
+    hoveredMarker = null;
+    stopMarkersLoop();
+
+    // Shared resources are freed once; templates keep them and re-upload on next use
+    resources.forEach(resource => resource.dispose());
+}
+
+/**
+ * Update / animate markers
+ */
+export function updateMarkers() {
+    if (activeMarkers.size === 0) return;
+
+    const time = Date.now() * 0.001;
+    const delta = lastFrameTime === null ? 0 : time - lastFrameTime;
+    lastFrameTime = time;
+    activeMarkers.forEach(marker => {
+        marker.instance.update(time, delta, marker === hoveredMarker);
+    });
+}
+
+/**
+ * Start the marker animation loop (no-op while it runs)
+ */
+function startMarkersLoop() {
+    if (loopFrameId !== null) return;
+    const markersLoop = () => {
+        updateMarkers();
+        loopFrameId = requestAnimationFrame(markersLoop);
+    };
+    loopFrameId = requestAnimationFrame(markersLoop);
+    console.log('Marker loop started');
+}
+
+/**
+ * Stop the marker animation loop (once no markers are left)
+ */
+function stopMarkersLoop() {
+    if (loopFrameId === null) return;
+    cancelAnimationFrame(loopFrameId);
+    loopFrameId = null;
+    lastFrameTime = null;
+    console.log('Marker loop stopped');
+}
+
+/**
+ * Find the marker under a screen position: the ray is tested against a sphere
+ * around each marker's pick target, skipping markers behind the globe.
+ * Returns the marker or null.
+ */
+export function pickMarker(globe, clientX, clientY) {
+    if (activeMarkers.size === 0) return null;
+
+    const rect = globe.renderer().domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((clientX - rect.left) / rect.width) * 2 - 1,
+        -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, globe.camera());
+    const ray = raycaster.ray;
+
+    // Anything farther than the globe's surface along the ray is hidden by it
+    const globeHit = ray.intersectSphere(new THREE.Sphere(new THREE.Vector3(), globe.getGlobeRadius()), new THREE.Vector3());
+    const globeDistance = globeHit ? ray.origin.distanceTo(globeHit) : Infinity;
+
+    const sphere = new THREE.Sphere();
+    const hit = new THREE.Vector3();
+    let closest = null;
+    let closestDistance = globeDistance;
+    activeMarkers.forEach(marker => {
+        marker.instance.pickTarget.getWorldPosition(sphere.center);
+        sphere.radius = marker.instance.pickRadius;
+        if (!ray.intersectSphere(sphere, hit)) return;
+        const distance = ray.origin.distanceTo(hit);
+        if (distance < closestDistance) {
+            closest = marker;
+            closestDistance = distance;
+        }
+    });
+    return closest;
+}
+
+/**
+ * Make markers hoverable and clickable.
+ * onHover(country) runs on every pointer move over a marker (so a tooltip hidden by
+ * other layers comes back) and onHover(null) once it leaves; onClick(country) on click.
+ * country is the record the marker was added for.
+ */
+export function initializeMarkerPicking(globe, { onHover, onClick }) {
+    const canvas = globe.renderer().domElement;
+    let pressPosition = null;
+
+    canvas.addEventListener('pointermove', event => {
+        const marker = pickMarker(globe, event.clientX, event.clientY);
+        if (marker) {
+            hoveredMarker = marker;
+            canvas.style.cursor = 'pointer';
+            onHover(marker.country);
+        } else if (hoveredMarker) {
+            hoveredMarker = null;
+            canvas.style.cursor = '';
+            onHover(null);
+        }
+    });
+
+    canvas.addEventListener('pointerdown', event => {
+        pressPosition = { x: event.clientX, y: event.clientY };
+    });
+
+    canvas.addEventListener('click', event => {
+        // Rotating the globe ends with a click too; only a click in place picks
+        if (pressPosition && Math.hypot(event.clientX - pressPosition.x, event.clientY - pressPosition.y) > DRAG_THRESHOLD) return;
+        const marker = pickMarker(globe, event.clientX, event.clientY);
+        if (marker) onClick(marker.country);
+    });
+}
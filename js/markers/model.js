@@ -0,0 +1,90 @@
+/**
+ * Marker Model Module
+ * Loads marker models (glTF / GLB / VRM) once per URL and hands out clones.
+ * Templates are one unit tall; the marker type scales them.
+ * The bundled astronaut has Draco-compressed meshes and KTX2 textures, so the
+ * loader gets both decoders (from the CDN or vendor/, see js/assets.js).
+ * A model that fails to load resolves to null: callers use their fallback.
+ */
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { clone as cloneSkinned } from 'three/addons/utils/SkeletonUtils.js';
+
+// Loaded models by URL: Promise<{ template, clip } | null>
+const modelCache = new Map();
+
+// One loader for every model (created on first use, KTX2 needs the renderer)
+let loader = null;
+
+/**
+ * Create the glTF loader with the Draco and KTX2 decoders
+ */
+function getLoader(renderer) {
+    if (loader) return loader;
+
+    const dracoLoader = new DRACOLoader().setDecoderPath(window.getAssetUrl('dracoDecoder'));
+    const ktx2Loader = new KTX2Loader().setTranscoderPath(window.getAssetUrl('basisTranscoder'));
+    if (renderer) ktx2Loader.detectSupport(renderer);
+
+    loader = new GLTFLoader().setDRACOLoader(dracoLoader).setKTX2Loader(ktx2Loader);
+    return loader;
+}
+
+/**
+ * Wrap a loaded scene so it is one unit tall and centered on its origin
+ */
+function normalizeModel(scene) {
+    const box = new THREE.Box3().setFromObject(scene);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    const scale = size.y > 0 ? 1 / size.y : 1;
+
+    scene.scale.setScalar(scale);
+    scene.position.copy(center).multiplyScalar(-scale);
+
+    const template = new THREE.Group();
+    template.add(scene);
+    return template;
+}
+
+/**
+ * Pick the idle animation: a clip named "idle", otherwise the first one (null if none)
+ */
+function findIdleClip(animations) {
+    return animations.find(clip => /idle/i.test(clip.name)) || animations[0] || null;
+}
+
+/**
+ * Load a model once; later calls for the same URL share the result
+ * Resolves to { template, clip } or null when the model cannot be loaded
+ */
+export function loadMarkerModel(url, renderer) {
+    if (!url) return Promise.resolve(null);
+    if (!modelCache.has(url)) {
+        modelCache.set(url, getLoader(renderer).loadAsync(url)
+            .then(gltf => {
+                console.log(`Marker model loaded: ${url} (${gltf.animations.length} animations)`);
+                return { template: normalizeModel(gltf.scene), clip: findIdleClip(gltf.animations) };
+            })
+            .catch(e => {
+                console.warn(`Could not load marker model "${url}", using the fallback:`, e);
+                return null;
+            }));
+    }
+    return modelCache.get(url);
+}
+
+/**
+ * Clone a loaded model for one marker (skinned meshes get their own skeleton)
+ * Returns { object, mixer } - mixer plays the idle clip, null without one
+ */
+export function cloneMarkerModel(model) {
+    const object = cloneSkinned(model.template);
+    if (!model.clip) return { object, mixer: null };
+
+    const mixer = new THREE.AnimationMixer(object);
+    mixer.clipAction(model.clip).play();
+    return { object, mixer };
+}
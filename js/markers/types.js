@@ -0,0 +1,234 @@
+/**
+ * Built-in Marker Types
+ * Each type has:
+ *   prepare(options, context) - optional, async: resources shared by every marker
+ *                               of one category (a loaded model, a texture, a geometry)
+ *   create(options, resources, context) - one marker: { object, pickTarget, pickRadius,
+ *                               update(time, delta, hovered), mixer? }
+ * Markers are built in a local frame where +y is the surface normal and the origin
+ * sits on the globe surface under the country point; context.pointHeight is the
+ * height of the point cylinder there. Options come from settings.markers.<type>,
+ * overridden by the category's "marker" object.
+ */
+import * as THREE from 'three';
+import { loadMarkerModel, cloneMarkerModel } from './model.js';
+
+// Procedural astronaut shared by all orbiters without a model (built on first use)
+let proceduralTemplate = null;
+
+// Icon textures by URL (reused across categories; disposal only frees the GPU copy)
+const iconTextures = new Map();
+
+/**
+ * Create astronaut template using THREE.js
+ */
+export function createAstronautTemplate() {
+    console.log('Creating astronaut template...');
+
+    const group = new THREE.Group();
+    const whiteMat = new THREE.MeshStandardMaterial({ color: 0xEEEEEE, metalness: 0.3, roughness: 0.7 });
+    const visorMat = new THREE.MeshStandardMaterial({
+        color: 0x1A5F7A,
+        metalness: 0.9,
+        roughness: 0.1,
+        transparent: true,
+        opacity: 0.6
+    });
+
+    // Simple helmet
+    const helmet = new THREE.Mesh(new THREE.SphereGeometry(0.5, 8, 8), whiteMat);
+    helmet.position.y = 0.6;
+    group.add(helmet);
+
+    // Visor (slightly inset)
+    const visor = new THREE.Mesh(new THREE.SphereGeometry(0.45, 8, 8), visorMat);
+    visor.position.set(0, 0.6, 0.15);
+    group.add(visor);
+
+    // Tiny body
+    const body = new THREE.Mesh(new THREE.CylinderGeometry(0.25, 0.3, 0.8, 6), whiteMat);
+    body.position.y = -0.3;
+    group.add(body);
+
+    // Tiny backpack
+    const pack = new THREE.Mesh(
+        new THREE.BoxGeometry(0.4, 0.5, 0.15),
+        new THREE.MeshStandardMaterial({ color: 0xFF6B35 })
+    );
+    pack.position.set(0, -0.1, -0.2);
+    group.add(pack);
+
+    group.scale.set(1.5, 1.5, 1.5);
+
+    console.log('Astronaut template created:', group);
+    return group;
+}
+
+/**
+ * Draw a pennant with the country's code on a canvas (flag markers)
+ */
+function createFlagTexture(label, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 80;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(128, 0);
+    ctx.lineTo(108, 40);
+    ctx.lineTo(128, 80);
+    ctx.lineTo(0, 80);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.fillStyle = '#0F2133';
+    ctx.font = 'bold 36px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, 54, 42);
+
+    return new THREE.CanvasTexture(canvas);
+}
+
+/**
+ * Draw a plain dot (icon markers without a usable image)
+ */
+function createDotTexture(color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(32, 32, 28, 0, 2 * Math.PI);
+    ctx.fill();
+    return new THREE.CanvasTexture(canvas);
+}
+
+export const builtInMarkerTypes = {
+    // A model (or the procedural astronaut) circling the point cylinder
+    orbiter: {
+        async prepare(options, { renderer }) {
+            return { model: await loadMarkerModel(options.model, renderer) };
+        },
+        create(options, { model }, { pointHeight }) {
+            let figure;
+            let mixer = null;
+            if (model) {
+                ({ object: figure, mixer } = cloneMarkerModel(model));
+                figure.scale.setScalar(options.height);
+            } else {
+                if (!proceduralTemplate) proceduralTemplate = createAstronautTemplate();
+                figure = proceduralTemplate.clone();
+            }
+
+            // spinner turns around the cylinder, holder bobs and waves while hovered
+            const spinner = new THREE.Object3D();
+            spinner.position.y = pointHeight / 2;
+            const holder = new THREE.Group();
+            holder.position.z = options.radius;
+            holder.add(figure);
+            spinner.add(holder);
+
+            const speed = options.speed * (1 + Math.random() * 0.5);
+            return {
+                object: spinner,
+                pickTarget: holder,
+                pickRadius: options.height * 0.75,
+                mixer,
+                update(time, delta, hovered) {
+                    spinner.rotation.y = time * speed;
+                    holder.position.y = Math.sin(time * 3 * speed) * options.bob;
+                    // Hover highlight: the astronaut grows and waves side to side
+                    holder.scale.setScalar(hovered ? 1.3 : 1);
+                    holder.rotation.z = hovered ? Math.sin(time * 8) * 0.35 : 0;
+                    if (mixer) mixer.update(delta);
+                }
+            };
+        }
+    },
+
+    // A pennant with the country code floating above the point
+    flag: {
+        create(options, resources, { country, color, pointHeight }) {
+            const label = (country.code || country.name.slice(0, 3)).toUpperCase();
+            const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+                map: createFlagTexture(label, options.color || color),
+                depthWrite: false
+            }));
+            const baseY = pointHeight + options.height;
+            const phase = Math.random() * Math.PI * 2;
+
+            return {
+                object: sprite,
+                pickTarget: sprite,
+                pickRadius: options.size * 0.8,
+                update(time, delta, hovered) {
+                    const size = options.size * (hovered ? 1.3 : 1);
+                    sprite.scale.set(size * 1.6, size, 1);
+                    sprite.position.y = baseY + Math.sin(time * options.speed * 2 + phase) * options.bob;
+                }
+            };
+        }
+    },
+
+    // A ring on the ground around the point that keeps expanding and fading
+    ring: {
+        prepare(options) {
+            return { geometry: new THREE.RingGeometry(0.8, 1, 48).rotateX(-Math.PI / 2) };
+        },
+        create(options, { geometry }, { color }) {
+            const material = new THREE.MeshBasicMaterial({
+                color: options.color || color,
+                transparent: true,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            });
+            const ring = new THREE.Mesh(geometry, material);
+            ring.position.y = 0.3;
+            const phase = Math.random();
+
+            return {
+                object: ring,
+                pickTarget: ring,
+                pickRadius: options.radius,
+                update(time, delta, hovered) {
+                    const t = (time / options.period + phase) % 1;
+                    ring.scale.setScalar(options.radius * (0.3 + 0.7 * t));
+                    // Hovered rings stay lit instead of fading out
+                    material.opacity = hovered ? 1 : 1 - t;
+                }
+            };
+        }
+    },
+
+    // An image that always faces the camera, above the point
+    icon: {
+        async prepare(options, context) {
+            if (!options.url) return { texture: createDotTexture(options.color || context.color) };
+            if (!iconTextures.has(options.url)) {
+                iconTextures.set(options.url, new THREE.TextureLoader().loadAsync(options.url).catch(e => {
+                    console.warn(`Could not load marker icon "${options.url}", using a dot:`, e);
+                    iconTextures.delete(options.url);
+                    return null;
+                }));
+            }
+            const texture = await iconTextures.get(options.url);
+            return { texture: texture || createDotTexture(options.color || context.color) };
+        },
+        create(options, { texture }, { pointHeight }) {
+            const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthWrite: false }));
+            sprite.position.y = pointHeight + options.height;
+
+            return {
+                object: sprite,
+                pickTarget: sprite,
+                pickRadius: options.size * 0.6,
+                update(time, delta, hovered) {
+                    sprite.scale.setScalar(options.size * (hovered ? 1.3 : 1));
+                }
+            };
+        }
+    }
+};
@@ -0,0 +1,132 @@
+/**
+ * Application Settings
+ * Runtime configuration shared by all modules (data sources, feature switches)
+ */
+export const settings = {
+    // Headcount dataset (JSON or CSV) - edit the file, not the code
+    dataset: {
+        url: 'data/supersiders.json'
+    },
+    
+    // Category rules (regions, thresholds, include/exclude lists, colors, camera views)
+    categories: {
+        url: 'data/categories.json'
+    },
+    
+    // Startup stage 2: once the app runs, how long to wait for the globe's renderer (ms)
+    // before showing the fallback screen (reason, retry button and the dataset as a table).
+    // Stage 1, downloading the globe.gl script, is limited by ASSETS.libraryTimeout in js/assets.js
+    startup: {
+        rendererTimeout: 10000
+    },
+    
+    // Category markers: defaults per marker type. A category picks a type with "marker"
+    // in data/categories.json ("ring" or { "type": "orbiter", "speed": 2 }) and can override
+    // any of these. Sizes are in globe units (globe radius = 100), periods in seconds.
+    markers: {
+        // Model circling the point (glTF, GLB or VRM; null = procedural astronaut, also used
+        // when the model fails to load). Its idle animation plays if it has one.
+        orbiter: { model: 'VRM_ASTRONAUT/VRM_ASTRONAUT.vrm', height: 2.7, radius: 2.5, speed: 1, bob: 0.3 },
+        // Pennant with the country code floating above the point (color: null = category color)
+        flag: { size: 3, height: 3, speed: 1, bob: 0.5, color: null },
+        // Ring on the ground that expands to radius and fades, every period
+        ring: { radius: 4, period: 1.5, color: null },
+        // Image facing the camera above the point (url: null = a dot in the category color)
+        icon: { url: null, size: 3, height: 3, color: null }
+    },
+    
+    // Lone-wolf flight (categories with view "flight"): the camera tours the category's
+    // countries along great circles at speed degrees per second (legs last at least
+    // minLegDuration ms), stops stopDuration ms at each to show its info, and resumes
+    // from the nearest stop resumeDelay ms after the user stops dragging or zooming
+    flight: {
+        altitude: 1.3,
+        speed: 25,
+        minLegDuration: 1500,
+        stopDuration: 2500,
+        resumeDelay: 4000
+    },
+    
+    // City-level locations: split country points into cities below splitAltitude,
+    // merge them back above mergeAltitude (the gap avoids flicker at the threshold)
+    cities: {
+        splitAltitude: 1.1,
+        mergeAltitude: 1.3
+    },
+    
+    // Timeline playback (only shown when the dataset has dated snapshots)
+    timeline: {
+        stepDuration: 2000,      // ms per snapshot while playing
+        entranceDuration: 2500   // ms the entrance ripple shows for newly entered countries
+    },
+    
+    // Real relationship edges (JSON or CSV edge list). null = decorative arcs only.
+    // defaultMode: 'real' or 'decorative' - which arcs show first when an edge list is loaded
+    edges: {
+        url: null,
+        defaultMode: 'real'
+    },
+    
+    // Connection arcs: a seed (number or string) makes them reproducible for screenshots
+    // and demos; null varies them on every load. ?seed=... in the URL overrides it.
+    // strategy: 'random', 'hub' (hub-and-spoke from hubs, names or ISO codes; empty = largest
+    // country), 'nearest' (k nearest neighbors) or 'mst' (minimum spanning tree).
+    // Categories can pick their own with "connections" in data/categories.json.
+    connections: {
+        seed: null,
+        strategy: 'random',
+        hubs: [],
+        k: 2,
+        exactPairLimit: 300,        // random arcs compare every pair up to this many locations...
+        candidatesPerLocation: 12,  // ...above it, each location only considers its nearest neighbors and a few far ones
+        workerThreshold: 200        // pair in a Web Worker (random and mst arcs) from this many locations (Infinity = never)
+    },
+    
+    // Choropleth view: countries filled by headcount instead of points.
+    // defaultView: 'points', 'choropleth' or 'hexbin' - which view shows first
+    choropleth: {
+        url: 'data/countries.geojson',
+        defaultView: 'points'
+    },
+    
+    // Hexagon view: locations (cities where the data has them) binned into H3 hexagons
+    // weighted by headcount. resolution 'auto' gets one level finer each time the camera
+    // altitude halves, within minResolution..maxResolution; a number fixes the level (0-15).
+    hexbin: {
+        resolution: 'auto',
+        minResolution: 1,
+        maxResolution: 4,
+        margin: 0.2,        // gap between hexagons (fraction of their diameter)
+        tooltipCountries: 5 // countries listed in a hexagon's tooltip
+    },
+    
+    // Edge bundling: strength 0 draws plain arcs; above 0 compatible arcs are pulled
+    // into shared corridors (1 = strongest). The info panel has a slider for it.
+    // Bundling runs in a Web Worker; random arcs stop regenerating while it is on.
+    bundling: {
+        strength: 0,
+        subdivisions: 16,             // points per bundled path
+        compatibilityThreshold: 0.6,  // 0..1, how alike two arcs must be to bundle
+        maxEdges: 300                 // above this many arcs bundling is skipped (300 clustered arcs take about 1 s)
+    },
+    
+    // Color and size scales for counts. type: 'threshold' (fixed breaks), 'quantile'
+    // (classes of about equal size), 'linear' or 'log' (continuous, fitted to the data).
+    // Colors come from the palette, sizes from the range: one stop per class for
+    // threshold/quantile, blended between stops for linear/log.
+    scales: {
+        pointColor: { type: 'threshold', thresholds: [10, 50], palette: ['#4A9B5E', '#86F5AF', '#DAFF87'] },
+        pointSize: { type: 'threshold', thresholds: [10, 50], range: [0.3, 0.5, 0.8] },
+        arcColor: { type: 'threshold', thresholds: [20, 50], palette: ['#4A9B5E', '#86F5AF', '#DAFF87'] }  // average count of both ends
+    },
+    
+    // Privacy mode for public showings: counts below minCount (k) are never shown exactly.
+    // mode: 'mask' (shown as "<k"), 'aggregate' (merged into a regional point)
+    // or 'jitter' (shown as "<k", point moved up to jitterKm from its location)
+    privacy: {
+        enabled: false,
+        minCount: 5,
+        mode: 'mask',
+        jitterKm: 300
+    }
+};
@@ -0,0 +1,65 @@
+/**
+ * Facet Panel Module
+ * Filter chips for the attribute breakdowns (discipline, seniority, team...)
+ */
+import { getFacetOptions, isFacetActive, toggleFacet, clearFacets, hasActiveFacets } from '../data/breakdowns.js';
+
+/**
+ * Turn an attribute key into a heading ("seniority" -> "Seniority")
+ */
+function formatAttribute(attribute) {
+    return attribute.charAt(0).toUpperCase() + attribute.slice(1).replace(/_/g, ' ');
+}
+
+/**
+ * Populate the facet panel
+ * The panel stays hidden when the dataset has no breakdowns
+ */
+export function populateFacetPanel(countryData, onFacetChange) {
+    const panel = document.getElementById('facetPanel');
+    const facetList = document.getElementById('facetList');
+    const clearButton = document.getElementById('facetClear');
+    const options = getFacetOptions(countryData);
+
+    facetList.innerHTML = '';
+
+    if (Object.keys(options).length === 0) {
+        panel.classList.remove('enabled');
+        return;
+    }
+    panel.classList.add('enabled');
+
+    Object.entries(options).forEach(([attribute, values]) => {
+        const group = document.createElement('div');
+        group.className = 'facet-group';
+
+        const heading = document.createElement('div');
+        heading.className = 'facet-heading';
+        heading.textContent = formatAttribute(attribute);
+        group.appendChild(heading);
+
+        values.forEach(value => {
+            const chip = document.createElement('span');
+            chip.className = 'facet-chip';
+            chip.textContent = value;
+            if (isFacetActive(attribute, value)) chip.classList.add('active');
+
+            chip.addEventListener('click', () => {
+                toggleFacet(attribute, value);
+                populateFacetPanel(countryData, onFacetChange);
+                onFacetChange();
+            });
+
+            group.appendChild(chip);
+        });
+
+        facetList.appendChild(group);
+    });
+
+    clearButton.style.display = hasActiveFacets() ? '' : 'none';
+    clearButton.onclick = () => {
+        clearFacets();
+        populateFacetPanel(countryData, onFacetChange);
+        onFacetChange();
+    };
+}
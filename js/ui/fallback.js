@@ -0,0 +1,87 @@
+/**
+ * Startup Fallback Module
+ * Shown when the globe cannot start (no WebGL, a library that never loads, a
+ * renderer that never comes up): the reason, a retry button and a plain table
+ * of the dataset. Only imports data modules (and the pure math they use), so it
+ * still works when Globe.gl or Three.js are missing.
+ */
+import { settings } from '../settings.js';
+import { loadDataset } from '../data/loader.js';
+import { maskCountryData, toPrivatePoints, formatCount } from '../data/privacy.js';
+
+let fallbackShown = false;
+
+/**
+ * Sort rows for the table: largest first; privacy-masked rows go last in
+ * alphabetical order, so their position doesn't rank their hidden counts
+ */
+function sortRows(rows) {
+    return [...rows].sort((a, b) => {
+        if (Boolean(a.masked) !== Boolean(b.masked)) return a.masked ? 1 : -1;
+        if (a.masked) return a.name.localeCompare(b.name);
+        return b.count - a.count || a.name.localeCompare(b.name);
+    });
+}
+
+/**
+ * Render the dataset as a table (country, region, headcount)
+ */
+function renderTable(container, countries) {
+    const rows = sortRows(toPrivatePoints(maskCountryData(countries)));
+
+    const table = document.createElement('table');
+    table.className = 'startup-fallback-table';
+    table.innerHTML = '<thead><tr><th>Country</th><th>Region</th><th>Supersiders</th></tr></thead>';
+
+    const body = document.createElement('tbody');
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        [row.name, row.subregion || row.region || '', formatCount(row)].forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        body.appendChild(tr);
+    });
+    table.appendChild(body);
+
+    container.innerHTML = '';
+    container.appendChild(table);
+}
+
+/**
+ * Show the startup failure screen with its reason and load the dataset table.
+ * Only the first failure is shown (later timeouts usually follow from it).
+ */
+export async function showStartupFailure(reason, details = []) {
+    if (fallbackShown) return;
+    fallbackShown = true;
+    console.error('Startup failed:', reason, details);
+
+    const loadingScreen = document.getElementById('loadingScreen');
+    const overlay = document.getElementById('startupError');
+    const message = document.getElementById('startupErrorMessage');
+    const detailList = document.getElementById('startupErrorDetails');
+    const tableContainer = document.getElementById('startupErrorTable');
+
+    if (loadingScreen) loadingScreen.style.display = 'none';
+    document.getElementById('globeViz')?.classList.remove('fade-in');
+
+    message.textContent = reason;
+    detailList.innerHTML = '';
+    details.forEach(detail => {
+        const item = document.createElement('li');
+        item.textContent = detail;
+        detailList.appendChild(item);
+    });
+    document.getElementById('startupRetry').onclick = () => window.location.reload();
+    overlay.classList.add('show');
+
+    tableContainer.textContent = 'Loading the Supersiders list...';
+    try {
+        const dataset = await loadDataset(settings.dataset.url);
+        renderTable(tableContainer, dataset.countries);
+    } catch (e) {
+        tableContainer.textContent = `The Supersiders list could not be loaded either: ${e.message}`;
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Legend Module
+ * On-screen key for point colors and sizes, generated from the active scales
+ * (see settings.scales) and the active category's color
+ */
+import { categories } from '../data/categories.js';
+import { formatTotal } from '../data/privacy.js';
+import { getScales, getPointColor, getPointSize } from '../globe/config.js';
+
+// Pixels per unit of point size in the legend circles
+const SIZE_TO_PX = 20;
+
+/**
+ * Label a class of counts ("1-9", "10-49", "50+")
+ */
+function formatClass(range) {
+    if (range.to === null) return `${range.from}+`;
+    const last = Math.ceil(range.to) - 1;
+    return last <= range.from ? `${range.from}` : `${range.from}–${last}`;
+}
+
+/**
+ * Sample counts for a continuous scale: smallest, middle and largest
+ * (the middle is geometric on log scales)
+ */
+function getSampleCounts(scale) {
+    const [min, max] = scale.domain;
+    const middle = scale.type === 'log' ? Math.sqrt(min * max) : (min + max) / 2;
+    return [...new Set([min, Math.round(middle), max])];
+}
+
+/**
+ * Build a legend row: a marker element and its label
+ */
+function createRow(marker, label) {
+    const row = document.createElement('div');
+    row.className = 'legend-row';
+    const text = document.createElement('span');
+    text.textContent = label;
+    row.append(marker, text);
+    return row;
+}
+
+/**
+ * Build a color swatch
+ */
+function createSwatch(color) {
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch';
+    swatch.style.background = color;
+    return swatch;
+}
+
+/**
+ * Build a size circle
+ */
+function createCircle(size) {
+    const circle = document.createElement('span');
+    circle.className = 'legend-circle';
+    circle.style.width = circle.style.height = `${Math.max(4, size * SIZE_TO_PX)}px`;
+    return circle;
+}
+
+/**
+ * Build a section with a heading
+ */
+function createSection(title) {
+    const section = document.createElement('div');
+    section.className = 'legend-section';
+    const heading = document.createElement('div');
+    heading.className = 'legend-heading';
+    heading.textContent = title;
+    section.appendChild(heading);
+    return section;
+}
+
+/**
+ * Color section: one swatch per class, or a gradient bar for continuous scales
+ */
+function renderColorSection(container, { scale, palette }, activeCategory) {
+    const section = createSection('Color');
+
+    // With a category active every point takes the category color
+    if (activeCategory && categories[activeCategory]) {
+        const category = categories[activeCategory];
+        section.appendChild(createRow(createSwatch(category.color), category.question));
+    } else if (scale.classes) {
+        scale.classes.forEach(range => {
+            section.appendChild(createRow(createSwatch(getPointColor(range.from)), formatClass(range)));
+        });
+    } else {
+        const bar = document.createElement('div');
+        bar.className = 'legend-gradient';
+        bar.style.background = `linear-gradient(to right, ${palette.join(', ')})`;
+        const labels = document.createElement('div');
+        labels.className = 'legend-gradient-labels';
+        // Privacy mode: a smallest count below k is not shown exactly
+        labels.innerHTML = `<span>${formatTotal(scale.domain[0])}</span><span>${scale.type === 'log' ? 'log scale' : ''}</span><span>${formatTotal(scale.domain[1])}</span>`;
+        section.append(bar, labels);
+    }
+
+    container.appendChild(section);
+}
+
+/**
+ * Size section: one circle per class, or circles for a few sample counts
+ */
+function renderSizeSection(container, { scale }) {
+    const section = createSection('Size');
+
+    if (scale.classes) {
+        scale.classes.forEach(range => {
+            section.appendChild(createRow(createCircle(getPointSize(range.from)), formatClass(range)));
+        });
+    } else {
+        getSampleCounts(scale).forEach(count => {
+            section.appendChild(createRow(createCircle(getPointSize(count)), formatTotal(count)));
+        });
+    }
+
+    container.appendChild(section);
+}
+
+/**
+ * Render the legend for the current scales and category
+ */
+export function renderLegend(activeCategory) {
+    const content = document.getElementById('legendContent');
+    if (!content) return;
+
+    const scales = getScales();
+    content.innerHTML = '';
+    renderColorSection(content, scales.pointColor, activeCategory);
+    renderSizeSection(content, scales.pointSize);
+}
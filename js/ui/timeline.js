@@ -0,0 +1,127 @@
+/**
+ * Timeline Module
+ * Play/pause scrubber over dated headcount snapshots
+ */
+import { settings } from '../settings.js';
+
+let snapshots = [];
+let currentIndex = 0;
+let playTimer = null;
+let onSnapshotChange = null;
+
+/**
+ * Get the currently selected snapshot (null when there is no timeline)
+ */
+export function getCurrentSnapshot() {
+    return snapshots[currentIndex] || null;
+}
+
+/**
+ * Check whether the timeline is playing
+ */
+export function isTimelinePlaying() {
+    return playTimer !== null;
+}
+
+/**
+ * Update scrubber, date label and play button to match the state
+ */
+function renderTimeline() {
+    const slider = document.getElementById('timelineSlider');
+    const dateLabel = document.getElementById('timelineDate');
+    const playButton = document.getElementById('timelinePlay');
+    const infoDate = document.getElementById('snapshot-date');
+    const snapshot = getCurrentSnapshot();
+
+    slider.value = currentIndex;
+    dateLabel.textContent = snapshot.date;
+    infoDate.textContent = snapshot.date;
+    playButton.textContent = isTimelinePlaying() ? '❚❚' : '▶';
+    playButton.title = isTimelinePlaying() ? 'Pause' : 'Play';
+}
+
+/**
+ * Jump to a snapshot by index
+ */
+export function selectSnapshot(index) {
+    const clamped = Math.max(0, Math.min(index, snapshots.length - 1));
+    if (clamped === currentIndex) return;
+
+    const previous = getCurrentSnapshot();
+    currentIndex = clamped;
+    renderTimeline();
+
+    if (onSnapshotChange) onSnapshotChange(getCurrentSnapshot(), previous);
+}
+
+/**
+ * Pause playback
+ */
+export function pauseTimeline() {
+    if (playTimer) {
+        clearInterval(playTimer);
+        playTimer = null;
+    }
+    renderTimeline();
+}
+
+/**
+ * Start playback (restarts from the first snapshot when at the end)
+ */
+export function playTimeline() {
+    if (playTimer || snapshots.length < 2) return;
+
+    if (currentIndex === snapshots.length - 1) {
+        selectSnapshot(0);
+    }
+
+    playTimer = setInterval(() => {
+        if (currentIndex >= snapshots.length - 1) {
+            pauseTimeline();
+            return;
+        }
+        selectSnapshot(currentIndex + 1);
+    }, settings.timeline.stepDuration);
+
+    renderTimeline();
+}
+
+/**
+ * Initialize the timeline panel
+ * The panel stays hidden unless the dataset carries at least two snapshots
+ */
+export function initializeTimeline(datasetSnapshots, onChange) {
+    snapshots = datasetSnapshots;
+    onSnapshotChange = onChange;
+    currentIndex = snapshots.length - 1;
+
+    if (snapshots.length < 2) return;
+
+    const panel = document.getElementById('timelinePanel');
+    const slider = document.getElementById('timelineSlider');
+    const playButton = document.getElementById('timelinePlay');
+
+    slider.min = 0;
+    slider.max = snapshots.length - 1;
+    slider.step = 1;
+
+    // Dragging the scrubber takes over from playback
+    slider.addEventListener('input', () => {
+        if (isTimelinePlaying()) pauseTimeline();
+        selectSnapshot(Number(slider.value));
+    });
+
+    playButton.addEventListener('click', () => {
+        if (isTimelinePlaying()) {
+            pauseTimeline();
+        } else {
+            playTimeline();
+        }
+    });
+
+    panel.classList.add('enabled');
+    document.getElementById('snapshot-date-row').style.display = '';
+    renderTimeline();
+
+    console.log(`Timeline initialized with ${snapshots.length} snapshots`);
+}
@@ -2,6 +2,10 @@
  * Tooltip Module
  * Manages custom tooltip display and positioning
  */
+import { settings } from '../settings.js';
+import { formatCount, formatTotal } from '../data/privacy.js';
+import { getTimeDifferenceHours } from '../globe/routing.js';
+import { getHexCountries } from '../globe/hexbin.js';
 
 let currentMouseX = 0;
 let currentMouseY = 0;
@@ -35,15 +39,9 @@ export function hideTooltipDelayed() {
 }
 
 /**
- * Show tooltip for a country point
+ * Force show tooltip with all necessary styles
  */
-export function showTooltip(point) {
-    const tooltip = document.getElementById('customTooltip');
-    console.log('SHOWING tooltip for:', point.name);
-    
-    showTooltipImmediate();
-    
-    // Force show tooltip with all necessary styles
+function revealTooltip(tooltip) {
     tooltip.style.display = 'block';
     tooltip.style.visibility = 'visible';
     tooltip.style.opacity = '1';
@@ -55,15 +53,42 @@ export function showTooltip(point) {
     tooltip.style.borderRadius = '8px';
     tooltip.style.padding = '12px 16px';
     tooltip.style.color = 'white';
+}
+
+/**
+ * Show tooltip for a country point
+ */
+export function showTooltip(point) {
+    const tooltip = document.getElementById('customTooltip');
+    console.log('SHOWING tooltip for:', point.name);
+    
+    showTooltipImmediate();
+    
+    revealTooltip(tooltip);
     
     // Update tooltip content
     const nameEl = document.getElementById('tooltipName');
     const countEl = document.getElementById('tooltipCount');
     const coordsEl = document.getElementById('tooltipCoords');
     
-    if (nameEl) nameEl.textContent = point.name.toUpperCase();
-    if (countEl) countEl.textContent = `${point.count} SUPERSIDERS`;
-    if (coordsEl) coordsEl.textContent = `Lat: ${point.coordinates.lat.toFixed(2)}°, Lng: ${point.coordinates.lng.toFixed(2)}°`;
+    // City points name their country; clustered countries say how many cities they hold
+    const name = point.isCity ? `${point.name} · ${point.country}` : point.name;
+    const cityCount = !point.isCity && point.cities ? point.cities.length : 0;
+    const count = formatCount(point);
+    
+    if (nameEl) nameEl.textContent = name.toUpperCase();
+    if (countEl) countEl.textContent = cityCount > 0
+        ? `${count} SUPERSIDERS · ${cityCount} ${cityCount === 1 ? 'CITY' : 'CITIES'}`
+        : !point.masked && point.totalCount !== undefined && point.totalCount !== point.count
+            ? `${count} OF ${point.totalCount} SUPERSIDERS`
+            : `${count} SUPERSIDERS`;
+    
+    // Privacy mode: regional buckets list their size, small counts don't give away a location
+    if (coordsEl) coordsEl.textContent = point.isBucket
+        ? `${point.members.length} ${point.members.length === 1 ? 'COUNTRY' : 'COUNTRIES'}`
+        : point.masked
+            ? 'APPROXIMATE LOCATION'
+            : `Lat: ${point.coordinates.lat.toFixed(2)}°, Lng: ${point.coordinates.lng.toFixed(2)}°`;
     
     // Position tooltip
     positionTooltip(tooltip);
@@ -71,6 +96,97 @@ export function showTooltip(point) {
     tooltip.classList.add('show');
 }
 
+/**
+ * Format a distance in km and miles ("10,549 KM · 6,555 MI")
+ */
+export function formatDistance(km) {
+    const format = (value) => Math.round(value).toLocaleString('en-US');
+    return `${format(km)} KM · ${format(km * 0.621371)} MI`;
+}
+
+/**
+ * Format the approximate time zone difference of a connection
+ */
+export function formatTimeDifference(connection) {
+    const hours = getTimeDifferenceHours(connection.startLng, connection.endLng);
+    return hours === 0 ? 'SAME TIME ZONE' : `~${hours}H TIME DIFFERENCE`;
+}
+
+/**
+ * Format the category a connection was drawn for ("latin_america" -> "LATIN AMERICA")
+ */
+export function formatConnectionCategory(connection) {
+    return connection.category ? connection.category.replace(/_/g, ' ').toUpperCase() : 'ALL COUNTRIES';
+}
+
+/**
+ * Format both endpoint counts of a connection ("120 · 45")
+ */
+export function formatConnectionCounts(connection) {
+    const start = formatCount({ count: connection.startCount, masked: connection.startMasked });
+    const end = formatCount({ count: connection.endCount, masked: connection.endMasked });
+    return `${start} · ${end}`;
+}
+
+/**
+ * Show tooltip for an arc (connection between two countries)
+ */
+export function showArcTooltip(arc) {
+    const tooltip = document.getElementById('customTooltip');
+    
+    showTooltipImmediate();
+    
+    revealTooltip(tooltip);
+    
+    const nameEl = document.getElementById('tooltipName');
+    const countEl = document.getElementById('tooltipCount');
+    const coordsEl = document.getElementById('tooltipCoords');
+    
+    // Real edges have a direction, decorative arcs don't
+    const arrow = arc.isEdge ? '→' : '↔';
+    if (nameEl) nameEl.textContent = `${arc.startCountry} ${arrow} ${arc.endCountry}`.toUpperCase();
+    if (countEl) countEl.textContent = `${formatConnectionCounts(arc)} SUPERSIDERS`;
+    if (coordsEl) coordsEl.textContent =
+        `${formatDistance(arc.distance)} · ${formatTimeDifference(arc)} · ${formatConnectionCategory(arc)}`;
+    
+    positionTooltip(tooltip);
+    
+    tooltip.classList.add('show');
+}
+
+/**
+ * Show tooltip for a hexagon (hexbin view): its total and the countries inside
+ */
+export function showHexTooltip(hex) {
+    const tooltip = document.getElementById('customTooltip');
+    
+    showTooltipImmediate();
+    
+    revealTooltip(tooltip);
+    
+    const nameEl = document.getElementById('tooltipName');
+    const countEl = document.getElementById('tooltipCount');
+    const coordsEl = document.getElementById('tooltipCoords');
+    
+    const countries = getHexCountries(hex);
+    const listed = countries.slice(0, settings.hexbin.tooltipCountries);
+    const more = countries.length - listed.length;
+    
+    if (nameEl) nameEl.textContent = countries.length === 1
+        ? countries[0].name.toUpperCase()
+        : `${countries.length} COUNTRIES`;
+    // Privacy mode: a small total would give away the countries behind it
+    if (countEl) countEl.textContent = `${formatTotal(hex.sumWeight)} SUPERSIDERS`;
+    if (coordsEl) coordsEl.textContent = listed
+        .map(country => `${country.name} ${formatCount(country)}`)
+        .concat(more > 0 ? [`+${more} MORE`] : [])
+        .join(' · ');
+    
+    positionTooltip(tooltip);
+    
+    tooltip.classList.add('show');
+}
+
 /**
  * Position tooltip following mouse
  */
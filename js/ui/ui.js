@@ -3,9 +3,10 @@
  * Manages UI panels, country selection, and category filtering
  */
 import { categories } from '../data/categories.js';
-import { generateConnections } from '../globe/connections.js';
+import { hasActiveFacets, describeActiveFacets } from '../data/breakdowns.js';
+import { formatCount, formatTotal, isCategoryHidden } from '../data/privacy.js';
+import { formatDistance, formatTimeDifference, formatConnectionCategory, formatConnectionCounts } from './tooltip.js';
 import { animateCategorySelection, stopAirplaneFlight } from '../animations/animations.js';
-import { clearOrbiters, addOrbitingAstronaut } from '../astronauts/astronauts.js';
 
 // Track which countries are enabled
 export let enabledCountries = null;
@@ -18,6 +19,21 @@ export function initializeEnabledCountries(countryData) {
     enabledCountries = new Set(countryData.map(country => country.name));
 }
 
+/**
+ * Keep the selection consistent after the country data changed (timeline snapshots).
+ * With a category active, the selection follows the category; otherwise
+ * countries that just entered the data are selected too.
+ */
+export function syncEnabledCountries(countryData, previousCountryNames) {
+    if (activeCategory && categories[activeCategory]) {
+        enabledCountries = new Set(categories[activeCategory].countries);
+        return;
+    }
+    countryData
+        .filter(country => !previousCountryNames.has(country.name))
+        .forEach(country => enabledCountries.add(country.name));
+}
+
 /**
  * Set active category
  */
@@ -65,7 +81,7 @@ export function showCountryInfo(country) {
     const count = document.getElementById('countryInfoCount');
     
     title.textContent = country.name.toUpperCase();
-    count.textContent = country.count.toString();
+    count.textContent = formatCount(country);
     
     overlay.classList.add('show');
     
@@ -82,6 +98,176 @@ export function hideCountryInfo() {
     overlay.classList.remove('show');
 }
 
+/**
+ * Turn a metadata key into a label ("client_name" -> "CLIENT NAME")
+ */
+function formatMetadataKey(key) {
+    return key.replace(/_/g, ' ').toUpperCase();
+}
+
+/**
+ * Show the connection detail panel (arc click). Real edges add their weight and metadata.
+ */
+export function showConnectionInfo(connection) {
+    const overlay = document.getElementById('connectionInfoOverlay');
+    const title = document.getElementById('connectionInfoTitle');
+    const counts = document.getElementById('connectionInfoCounts');
+    const details = document.getElementById('connectionInfoDetails');
+    
+    const arrow = connection.isEdge ? '→' : '↔';
+    title.textContent = `${connection.startCountry} ${arrow} ${connection.endCountry}`.toUpperCase();
+    counts.textContent = formatConnectionCounts(connection);
+    
+    const rows = [
+        ['DISTANCE', formatDistance(connection.distance)],
+        ['TIME', formatTimeDifference(connection)],
+        ['CATEGORY', formatConnectionCategory(connection)]
+    ];
+    if (connection.isEdge) {
+        rows.push(['WEIGHT', connection.weight]);
+        Object.entries(connection.metadata)
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .forEach(([key, value]) => rows.push([formatMetadataKey(key), value]));
+    }
+    
+    details.innerHTML = '';
+    rows.forEach(([label, value]) => {
+        const item = document.createElement('li');
+        item.textContent = `${label}: ${value}`;
+        details.appendChild(item);
+    });
+    
+    overlay.classList.add('show');
+}
+
+/**
+ * Hide the connection detail panel
+ */
+export function hideConnectionInfo() {
+    const overlay = document.getElementById('connectionInfoOverlay');
+    overlay.classList.remove('show');
+}
+
+/**
+ * Initialize the real edges / decorative arcs toggle
+ * (only shown when an edge list is loaded)
+ */
+export function initializeArcModeToggle(getMode, onToggle) {
+    const row = document.getElementById('arc-mode-row');
+    const button = document.getElementById('arcModeToggle');
+    
+    const render = () => {
+        button.textContent = getMode() === 'real' ? 'REAL EDGES' : 'DECORATIVE';
+        button.title = getMode() === 'real'
+            ? 'Arcs show real relationships - click for decorative arcs'
+            : 'Arcs are decorative - click for real relationships';
+    };
+    
+    button.addEventListener('click', () => {
+        onToggle(getMode() === 'real' ? 'decorative' : 'real');
+        render();
+    });
+    
+    row.style.display = '';
+    render();
+}
+
+/**
+ * Initialize the arc pattern selector ("Auto" follows the active category)
+ */
+export function initializeStrategySelect(strategies, getSelected, onChange) {
+    const select = document.getElementById('arcStrategySelect');
+    select.innerHTML = '';
+    
+    [{ id: '', label: 'Auto' }, ...strategies].forEach(strategy => {
+        const option = document.createElement('option');
+        option.value = strategy.id;
+        option.textContent = strategy.label;
+        select.appendChild(option);
+    });
+    
+    select.value = getSelected() || '';
+    select.addEventListener('change', () => onChange(select.value || null));
+}
+
+/**
+ * Enable/disable the arc pattern selector (real edges have no pattern)
+ */
+export function setStrategySelectEnabled(enabled) {
+    document.getElementById('arcStrategySelect').disabled = !enabled;
+}
+
+// View toggle labels and hints, in the order the toggle cycles through them
+const VIEW_MODE_LABELS = {
+    points: { label: 'POINTS', title: 'Countries are points' },
+    choropleth: { label: 'COUNTRIES', title: 'Countries are filled by headcount' },
+    hexbin: { label: 'HEXAGONS', title: 'Locations are binned into hexagons by headcount' }
+};
+
+/**
+ * Initialize the view toggle (points / countries / hexagons); each click moves to the next view
+ */
+export function initializeViewModeToggle(modes, getMode, onToggle) {
+    const button = document.getElementById('viewModeToggle');
+    const getNext = () => modes[(modes.indexOf(getMode()) + 1) % modes.length];
+    
+    const render = () => {
+        const current = VIEW_MODE_LABELS[getMode()];
+        button.textContent = current.label;
+        button.title = `${current.title} - click for ${VIEW_MODE_LABELS[getNext()].label.toLowerCase()}`;
+    };
+    
+    button.addEventListener('click', async () => {
+        await onToggle(getNext());
+        render();
+    });
+    
+    render();
+}
+
+/**
+ * Initialize the hexagon size selector ("Auto" follows the zoom, levels are H3 resolutions)
+ */
+export function initializeHexResolutionSelect(levels, getSelected, onChange) {
+    const select = document.getElementById('hexResolutionSelect');
+    select.innerHTML = '';
+    
+    [{ value: 'auto', label: 'Auto' }, ...levels.map(level => ({ value: String(level), label: `Level ${level}` }))].forEach(item => {
+        const option = document.createElement('option');
+        option.value = item.value;
+        option.textContent = item.label;
+        select.appendChild(option);
+    });
+    
+    select.value = String(getSelected());
+    select.addEventListener('change', () => onChange(select.value === 'auto' ? 'auto' : Number(select.value)));
+}
+
+/**
+ * Show the hexagon size selector only in the hexbin view
+ */
+export function setHexResolutionRowVisible(visible) {
+    document.getElementById('hex-resolution-row').style.display = visible ? '' : 'none';
+}
+
+/**
+ * Initialize the edge bundling strength slider (0 = plain arcs)
+ */
+export function initializeBundlingControl(getStrength, onChange) {
+    const slider = document.getElementById('bundlingSlider');
+    const value = document.getElementById('bundlingValue');
+    
+    const render = () => {
+        value.textContent = Number(slider.value) > 0 ? `${Math.round(slider.value * 100)}%` : 'OFF';
+    };
+    
+    slider.value = getStrength();
+    render();
+    slider.addEventListener('input', render);
+    // Bundling is recomputed once the slider is released, not on every step
+    slider.addEventListener('change', () => onChange(Number(slider.value)));
+}
+
 /**
  * Populate category list
  */
@@ -90,6 +276,9 @@ export function populateCategoryList(countryData, globe, updateVisualizationFn)
     categoryList.innerHTML = '';
     
     Object.entries(categories).forEach(([categoryId, categoryData]) => {
+        // Privacy mode: categories built around small counts (lone wolves) are not offered
+        if (isCategoryHidden(categoryData)) return;
+        
         const categoryItem = document.createElement('div');
         categoryItem.className = 'category-item';
         
@@ -126,13 +315,10 @@ export function populateCategoryList(countryData, globe, updateVisualizationFn)
                 categoryItem.style.background = categoryColor;
                 categoryItem.style.borderColor = categoryColor;
                 
-                const validCountries = categoryData.countries.filter(countryName => 
-                    countryData.some(country => country.name === countryName)
-                );
-                enabledCountries = new Set(validCountries);
+                enabledCountries = new Set(categoryData.countries);
                 
                 // This will automatically stop any existing airplane flight
-                animateCategorySelection(categoryId, validCountries, globe, countryData);
+                animateCategorySelection(categoryId, categoryData.countries, globe, countryData, showCountryInfo);
             }
             
             populateCategoryList(countryData, globe, updateVisualizationFn);
@@ -146,12 +332,19 @@ export function populateCategoryList(countryData, globe, updateVisualizationFn)
         
         const countSpan = document.createElement('span');
         countSpan.className = 'category-count';
-        const validCountries = categoryData.countries.filter(countryName => 
-            countryData.some(country => country.name === countryName)
-        );
-        countSpan.textContent = validCountries.length;
+        countSpan.textContent = categoryData.countries.length;
         
         categoryItem.appendChild(questionSpan);
+        
+        // Config problems (unknown names, empty regions) are flagged instead of silently dropped
+        if (categoryData.warnings.length > 0) {
+            const warningSpan = document.createElement('span');
+            warningSpan.className = 'category-warning';
+            warningSpan.textContent = '!';
+            warningSpan.title = categoryData.warnings.join('\n');
+            categoryItem.appendChild(warningSpan);
+        }
+        
         categoryItem.appendChild(countSpan);
         
         categoryList.appendChild(categoryItem);
@@ -165,7 +358,11 @@ export function populateCountryList(countryData, globe, updateVisualizationFn) {
     const countryList = document.getElementById('countryList');
     countryList.innerHTML = '';
     
-    const sortedCountries = [...countryData].sort((a, b) => b.count - a.count);
+    // Countries the active facets bring down to 0 are hidden, as on the globe.
+    // Masked counts go last, alphabetically, so the order doesn't reveal them
+    const sortedCountries = countryData.filter(country => country.count > 0).sort((a, b) =>
+        (b.masked ? 0 : b.count) - (a.masked ? 0 : a.count) || (a.masked && b.masked ? a.name.localeCompare(b.name) : 0)
+    );
     
     sortedCountries.forEach(country => {
         const countryItem = document.createElement('div');
@@ -237,7 +434,7 @@ export function populateCountryList(countryData, globe, updateVisualizationFn) {
         
         const countSpan = document.createElement('span');
         countSpan.className = 'country-count';
-        countSpan.textContent = `(${country.count})`;
+        countSpan.textContent = `(${formatCount(country)})`;
         
         countryItem.appendChild(nameSpan);
         countryItem.appendChild(countSpan);
@@ -289,5 +486,31 @@ export function updateInfoPanel(countryData) {
     const enabledCountryData = countryData.filter(country => enabledCountries.has(country.name));
     document.getElementById('country-count').textContent = enabledCountryData.length;
     document.getElementById('total-count').textContent = 
-        enabledCountryData.reduce((sum, country) => sum + country.count, 0);
+        formatTotal(enabledCountryData.reduce((sum, country) => sum + country.count, 0));
+    
+    // Counts above are narrowed by the facets - say which ones
+    document.getElementById('facet-summary-row').style.display = hasActiveFacets() ? '' : 'none';
+    document.getElementById('facet-summary').textContent = describeActiveFacets();
+}
+
+/**
+ * Show dataset error state (malformed or unreachable dataset file)
+ */
+export function showDatasetError(error) {
+    const loadingScreen = document.getElementById('loadingScreen');
+    const overlay = document.getElementById('datasetError');
+    const message = document.getElementById('datasetErrorMessage');
+    const details = document.getElementById('datasetErrorDetails');
+    
+    if (loadingScreen) loadingScreen.style.display = 'none';
+    
+    message.textContent = error.message;
+    details.innerHTML = '';
+    (error.details || []).forEach(detail => {
+        const item = document.createElement('li');
+        item.textContent = detail;
+        details.appendChild(item);
+    });
+    
+    overlay.classList.add('show');
 }
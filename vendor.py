@@ -0,0 +1,74 @@
+#!/usr/bin/env python3
+"""
+Download local copies of every library and texture into vendor/.
+vendor/ is committed and js/assets.js loads it by default (source: 'local'),
+so the globe needs no internet connection. Run this while online after
+changing an asset in js/assets.js, to refresh the copies.
+
+The asset list is read from js/assets.js, so both always match.
+Files already in vendor/ are kept; pass --force to download them again.
+"""
+
+import os
+import re
+import sys
+import urllib.request
+
+ROOT = os.path.dirname(os.path.abspath(__file__))
+ASSETS_FILE = os.path.join(ROOT, 'js', 'assets.js')
+
+# "name: { cdn: '...', local: '...' }" entries and "name: [...]" folder file lists
+FILE_PATTERN = re.compile(r"(\w+): \{ cdn: '([^']+)', local: '([^']+)' \}")
+FOLDER_PATTERN = re.compile(r"(\w+): \[([^\]]*)\]")
+
+
+def read_assets():
+    """Return [(cdn_url, local_path)] for every file in js/assets.js"""
+    with open(ASSETS_FILE, encoding='utf-8') as f:
+        source = f.read()
+
+    files = {name: (cdn, local) for name, cdn, local in FILE_PATTERN.findall(source)}
+    folders = {name: re.findall(r"'([^']+)'", items) for name, items in FOLDER_PATTERN.findall(source)}
+
+    # Folder assets (URL prefixes) are copied file by file
+    downloads = []
+    for name, (cdn, local) in files.items():
+        if name in folders:
+            downloads += [(cdn + path, local + path) for path in folders[name]]
+        else:
+            downloads.append((cdn, local))
+    return downloads
+
+
+def download(url, path, force):
+    """Download one file (skipped when it already exists, unless forced)"""
+    target = os.path.join(ROOT, path)
+    if os.path.exists(target) and not force:
+        print(f"  exists   {path}")
+        return
+
+    request = urllib.request.Request(url, headers={'User-Agent': 'vendor.py'})
+    with urllib.request.urlopen(request, timeout=60) as response:
+        data = response.read()
+    os.makedirs(os.path.dirname(target), exist_ok=True)
+    with open(target, 'wb') as f:
+        f.write(data)
+    print(f"  saved    {path} ({len(data) // 1024} KB)")
+
+
+if __name__ == "__main__":
+    force = '--force' in sys.argv
+    failed = []
+
+    print(f"Downloading assets into {os.path.join(ROOT, 'vendor')}")
+    for url, path in read_assets():
+        try:
+            download(url, path, force)
+        except OSError as e:
+            print(f"  FAILED   {path}: {e}")
+            failed.append(path)
+
+    if failed:
+        print(f"{len(failed)} asset(s) failed - check the connection and run again")
+        sys.exit(1)
+    print("Done. js/assets.js uses these copies while its source is 'local'.")